@@ -3,10 +3,22 @@
  *
  * Architecture:
  *   App          — bootstrap, routing, navigation
- *   Library      — comic grid, file import, continue reading
+ *   Library      — comic grid, series view, file import, continue reading
+ *   Series       — series/volume/chapter parsing & grouping
+ *   Folders      — linked library folders, rescan & diff
+ *   LibraryStorage — quota estimate, persistence, space checks
+ *   Search       — accent/width-insensitive title matching
+ *   Backup       — whole-library export/import archive
  *   Reader       — PDF rendering, virtual scroll, zoom/pan
  *   VirtualScroll — manages page slot visibility & render queue
+ *   TileLayer    — sharp tiled re-render of zoomed pages
+ *   PageOverview — thumbnail grid of every page, cached in IndexedDB
+ *   AutoScroller — hands-free scrolling for webtoon strips
  *   PdfRenderer  — wraps PDF.js, manages canvas pool & memory
+ *   RenderWorker — draws PDF pages off the main thread (render-worker.js)
+ *   BitmapCache  — LRU of rendered pages, bounded by a memory budget
+ *   CbzRenderer  — CBZ (zip of images) page source, same interface
+ *   PageSource   — picks a renderer per comic format
  *   Toast        — notification system
  */
 
@@ -28,6 +40,35 @@ function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
+/**
+ * Quick content fingerprint: SHA-256 of the first and last 64 KB plus the
+ * byte size. Hashing a whole 300 MB volume would stall the import; head,
+ * tail and size together are plenty to tell comic files apart.
+ */
+async function fingerprint(blob) {
+  const EDGE  = 64 * 1024;
+  const parts = blob.size <= EDGE * 2 ? [blob] : [blob.slice(0, EDGE), blob.slice(-EDGE)];
+  const data  = await new Blob([...parts, String(blob.size)]).arrayBuffer();
+  const hash  = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let i = -1;
+  do { bytes /= 1024; i++; } while (bytes >= 1024 && i < units.length - 1);
+  return `${bytes.toFixed(bytes < 10 ? 1 : 0)} ${units[i]}`;
+}
+
+/* Resolves when the main thread has a spare moment */
+function whenIdle(timeout = 500) {
+  return new Promise(resolve => {
+    if ('requestIdleCallback' in window) requestIdleCallback(resolve, { timeout });
+    else setTimeout(resolve, 16);
+  });
+}
+
 /* ═══════════════════════════════════════════════
    TOAST SYSTEM
 ═══════════════════════════════════════════════ */
@@ -44,13 +85,168 @@ const Toast = {
     el.textContent = msg;
     this.container.appendChild(el);
 
-    setTimeout(() => {
-      el.classList.add('out');
-      el.addEventListener('animationend', () => el.remove(), { once: true });
-    }, duration);
+    setTimeout(() => this._dismiss(el), duration);
+  },
+
+  /* Sticky toast with a button — stays until tapped or dismissed */
+  action(msg, label, onAction) {
+    const el = document.createElement('div');
+    el.className = 'toast toast-action';
+    el.innerHTML = '<span></span><button class="toast-btn"></button>';
+    el.querySelector('span').textContent = msg;
+
+    const btn = el.querySelector('button');
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      this._dismiss(el);
+      onAction();
+    });
+
+    this.container.appendChild(el);
+    return { dismiss: () => this._dismiss(el) };
+  },
+
+  /* Sticky status toast for long jobs: update(msg) as it goes, done() at the end */
+  progress(msg) {
+    const el = document.createElement('div');
+    el.className = 'toast';
+    el.textContent = msg;
+    this.container.appendChild(el);
+
+    return {
+      update: (text) => { el.textContent = text; },
+      done:   () => this._dismiss(el),
+    };
+  },
+
+  _dismiss(el) {
+    if (el.classList.contains('out')) return;
+    el.classList.add('out');
+    el.addEventListener('animationend', () => el.remove(), { once: true });
   }
 };
 
+/* ═══════════════════════════════════════════════
+   BITMAP CACHE
+   Rendered pages kept as ImageBitmaps so a page that
+   scrolled out (and lost its canvas) comes back
+   without a re-render. Least recently used go first
+   once the budget is spent; close() frees the pixels.
+═══════════════════════════════════════════════ */
+
+/* ~32 MB per GB of device memory, within 64–256 MB */
+const BITMAP_BUDGET = clamp((navigator.deviceMemory || 4) * 32, 64, 256) * 1024 * 1024;
+
+class BitmapCache {
+  constructor(budget = BITMAP_BUDGET) {
+    this._budget = budget;
+    this._bytes  = 0;
+    this._map    = new Map();   // Map<'page@pxWidth', ImageBitmap>, oldest first
+  }
+
+  key(pageNum, pxWidth) {
+    return `${pageNum}@${pxWidth}`;
+  }
+
+  get(key) {
+    const bmp = this._map.get(key);
+    if (!bmp) return null;
+    this._map.delete(key);     // re-insert as most recent
+    this._map.set(key, bmp);
+    return bmp;
+  }
+
+  set(key, bmp) {
+    this.delete(key);
+    this._map.set(key, bmp);
+    this._bytes += bmp.width * bmp.height * 4;
+
+    for (const [oldKey] of this._map) {
+      if (this._bytes <= this._budget || oldKey === key) break;
+      this.delete(oldKey);
+    }
+  }
+
+  delete(key) {
+    const bmp = this._map.get(key);
+    if (!bmp) return;
+    this._bytes -= bmp.width * bmp.height * 4;
+    this._map.delete(key);
+    bmp.close();
+  }
+
+  clear() {
+    for (const bmp of this._map.values()) bmp.close();
+    this._map.clear();
+    this._bytes = 0;
+  }
+}
+
+function paintBitmap(bmp, canvas) {
+  canvas.width  = bmp.width;
+  canvas.height = bmp.height;
+  canvas.getContext('2d', { alpha: false }).drawImage(bmp, 0, 0);
+}
+
+/* ═══════════════════════════════════════════════
+   RENDER WORKER
+   Page-side handle on render-worker.js: PDF.js on an
+   OffscreenCanvas, pages come back as ImageBitmaps
+═══════════════════════════════════════════════ */
+const WORKER_RENDERING = typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && 'transferToImageBitmap' in OffscreenCanvas.prototype;
+
+class RenderWorker {
+  constructor() {
+    this._worker  = new Worker('./render-worker.js', { name: 'inkflow-render' });
+    this._nextId  = 1;
+    this._pending = new Map();   // Map<id, {resolve, reject}>
+
+    this._worker.onmessage = ({ data }) => {
+      const req = this._pending.get(data.id);
+      if (!req) return;
+      this._pending.delete(data.id);
+      if (data.ok) req.resolve(data.result);
+      else req.reject(new Error(data.error));
+    };
+    this._worker.onerror = (e) => this._failAll(new Error(e.message || 'Render worker failed'));
+  }
+
+  _request(msg) {
+    const id = this._nextId++;
+    const promise = new Promise((resolve, reject) => this._pending.set(id, { resolve, reject }));
+    this._worker.postMessage({ id, ...msg });
+    return { id, promise };
+  }
+
+  /* Resolves with the page count once the worker has its own copy open */
+  open(blob) {
+    return this._request({ type: 'open', blob }).promise;
+  }
+
+  /* { promise → ImageBitmap, or null if cancelled in time, cancel() } */
+  render(page, pxWidth) {
+    const { id, promise } = this._request({ type: 'render', page, pxWidth });
+    return {
+      promise,
+      cancel: () => {
+        if (this._pending.has(id)) this._worker.postMessage({ id, type: 'cancel' });
+      },
+    };
+  }
+
+  _failAll(err) {
+    for (const req of this._pending.values()) req.reject(err);
+    this._pending.clear();
+  }
+
+  close() {
+    this._worker.terminate();
+    this._failAll(new Error('Render worker closed'));
+  }
+}
+
 /* ═══════════════════════════════════════════════
    PDF RENDERER
    Wraps PDF.js with canvas pool & memory guard
@@ -59,32 +255,62 @@ class PdfRenderer {
   constructor() {
     this.pdfDoc     = null;
     this.totalPages = 0;
-    // Map<pageNum, {canvas, renderTask}>
+    // Map<pageNum, {canvas, renderTask}> — renders in flight
     this._rendered  = new Map();
-    // Queue of pending render jobs
+    // Queue of pending render jobs, run nearest-the-focus first
     this._queue     = [];
-    this._busy      = false;
+    this._busy      = false;   // a pump is already scheduled
     // Max simultaneous renders
     this._maxConcurrent = 2;
     this._activeTasks   = 0;
+    // Reading position, and how far from it work survives a jump
+    this._focus     = { page: 1, dir: 1 };
+    this._keepRange = 4;
+    // Rendered pages by page & size, freed in destroy()
+    this._cache     = new BitmapCache();
+    // Off-thread renderer, started on the first page render
+    this._blob      = null;
+    this._worker    = null;
+    this._workerStart = null;
   }
 
   async load(blob) {
     const url = URL.createObjectURL(blob);
     const loadingTask = pdfjsLib.getDocument({
       url,
-      cMapUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/cmaps/',
+      cMapUrl: PDFJS.cMapUrl,
       cMapPacked: true,
+      standardFontDataUrl: PDFJS.standardFontDataUrl,
       disableRange: false,
       disableStream: false,
     });
 
     this.pdfDoc     = await loadingTask.promise;
     this.totalPages = this.pdfDoc.numPages;
+    this._blob      = blob;
     URL.revokeObjectURL(url);
     return this.totalPages;
   }
 
+  /*
+   * Spin up the render worker in the background. Cover and thumbnail
+   * renderers never draw full pages, so they never pay for one.
+   * Until it's ready (or where it can't run) pages draw on the main thread.
+   */
+  _startWorker() {
+    if (this._workerStart || !WORKER_RENDERING) return;
+    const worker = new RenderWorker();
+    this._workerStart = worker.open(this._blob)
+      .then(() => {
+        if (this.pdfDoc) this._worker = worker;
+        else worker.close();   // destroyed while opening
+      })
+      .catch((err) => {
+        console.warn('Worker rendering unavailable, drawing on the main thread', err);
+        worker.close();
+      });
+  }
+
   /* Returns intrinsic size of a page at scale=1 */
   async getPageSize(pageNum) {
     const page    = await this.pdfDoc.getPage(pageNum);
@@ -94,43 +320,156 @@ class PdfRenderer {
   }
 
   /**
-   * Render page to a canvas element.
-   * Returns the canvas. Uses devicePixelRatio for sharpness.
-   * Priority renders happen immediately; others queue.
+   * Render page to a canvas element. Uses devicePixelRatio for sharpness.
+   * Cached pages paint straight away; the rest join the queue (see _pump)
+   * and render in the worker when it's up, on the main thread otherwise.
+   * Resolves true once drawn, false if cancelled or dropped as stale.
    */
-  async renderPage(pageNum, targetWidth, canvas, onDone) {
+  renderPage(pageNum, targetWidth, canvas, onDone) {
     // Cancel any existing render for this page
     this.cancelPage(pageNum);
 
-    const page   = await this.pdfDoc.getPage(pageNum);
-    const vp0    = page.getViewport({ scale: 1 });
-    const scale  = (targetWidth / vp0.width) * Math.min(window.devicePixelRatio, 2);
-    const vp     = page.getViewport({ scale });
+    const pxWidth = Math.round(targetWidth * Math.min(window.devicePixelRatio, 2));
+    const key     = this._cache.key(pageNum, pxWidth);
+    const cached  = this._cache.get(key);
+    if (cached) {
+      paintBitmap(cached, canvas);
+      onDone && onDone(canvas);
+      return Promise.resolve(true);
+    }
+
+    this._startWorker();
+    return new Promise((resolve) => {
+      this._queue.push({ pageNum, pxWidth, key, canvas, onDone, resolve });
+      this._schedulePump();
+    });
+  }
+
+  /**
+   * Where reading is (page) and which way it's heading (dir: 1 | -1), from
+   * VirtualScroll. Orders the queue; a jump further than _keepRange drops
+   * queued and running work around the old position.
+   */
+  setFocus(page, dir = 1) {
+    const jumped = Math.abs(page - this._focus.page) > this._keepRange;
+    this._focus = { page, dir };
+    if (!jumped) return;
+
+    const stale = (p) => Math.abs(p - page) > this._keepRange;
+    this._dropQueued(job => stale(job.pageNum));
+    for (const [num] of this._rendered) {
+      if (stale(num)) this.cancelPage(num);
+    }
+  }
+
+  /* Lower runs sooner: the focus page, then ahead, then behind at half weight */
+  _priority(pageNum) {
+    const d = (pageNum - this._focus.page) * this._focus.dir;
+    return d >= 0 ? d : 0.5 - d * 2;
+  }
+
+  /* Coalesce the burst of requests one scroll frame produces before choosing */
+  _schedulePump() {
+    if (this._busy) return;
+    this._busy = true;
+    queueMicrotask(() => {
+      this._busy = false;
+      this._pump();
+    });
+  }
+
+  _pump() {
+    while (this._activeTasks < this._maxConcurrent && this._queue.length) {
+      let best = 0;
+      for (let i = 1; i < this._queue.length; i++) {
+        if (this._priority(this._queue[i].pageNum) < this._priority(this._queue[best].pageNum)) best = i;
+      }
+      const [job] = this._queue.splice(best, 1);
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    this._activeTasks++;
+    const rec = { canvas: job.canvas, renderTask: null };
+    this._rendered.set(job.pageNum, rec);
+
+    let drawn = false;
+    try {
+      drawn = await (this._worker ? this._drawInWorker(job, rec) : this._drawOnMain(job, rec));
+    } catch (err) {
+      if (this.pdfDoc) console.warn(`Page ${job.pageNum} render error:`, err);
+    } finally {
+      if (this._rendered.get(job.pageNum) === rec) this._rendered.delete(job.pageNum);
+      this._activeTasks--;
+      job.resolve(drawn);
+      this._schedulePump();
+    }
+  }
+
+  async _drawOnMain({ pageNum, pxWidth, key, canvas, onDone }, rec) {
+    const page = await this.pdfDoc.getPage(pageNum);
+    if (this._rendered.get(pageNum) !== rec) return false;   // cancelled meanwhile
+
+    const vp0 = page.getViewport({ scale: 1 });
+    const vp  = page.getViewport({ scale: pxWidth / vp0.width });
 
     canvas.width  = vp.width;
     canvas.height = vp.height;
 
     const ctx = canvas.getContext('2d', { alpha: false });
 
-    const renderTask = page.render({
+    rec.renderTask = page.render({
       canvasContext: ctx,
       viewport:      vp,
       intent:        'display',
     });
 
-    this._rendered.set(pageNum, { canvas, renderTask });
-
     try {
-      await renderTask.promise;
-      page.cleanup();
-      onDone && onDone(canvas);
+      await rec.renderTask.promise;
     } catch (err) {
-      if (err?.name === 'RenderingCancelledException') return;
-      console.warn(`Page ${pageNum} render error:`, err);
+      if (err?.name === 'RenderingCancelledException') return false;
+      throw err;
+    } finally {
+      page.cleanup();
+    }
+    onDone && onDone(canvas);
+    const bmp = await createImageBitmap(canvas);
+    // destroy() may have cleared the cache while the bitmap was being made
+    if (this.pdfDoc) this._cache.set(key, bmp);
+    else bmp.close();
+    return true;
+  }
+
+  async _drawInWorker({ pageNum, pxWidth, key, canvas, onDone }, rec) {
+    rec.renderTask = this._worker.render(pageNum, pxWidth);
+    const bmp = await rec.renderTask.promise;
+    if (!bmp) return false;
+
+    if (!this.pdfDoc) {
+      bmp.close();
+      return false;
     }
+    // Cancelled too late to stop it — still worth keeping
+    this._cache.set(key, bmp);
+    if (this._rendered.get(pageNum) !== rec) return false;
+    paintBitmap(bmp, canvas);
+    onDone && onDone(canvas);
+    return true;
+  }
+
+  /* Take matching jobs off the queue, resolving them as not drawn */
+  _dropQueued(match) {
+    this._queue = this._queue.filter((job) => {
+      if (!match(job)) return true;
+      job.resolve(false);
+      return false;
+    });
   }
 
   cancelPage(pageNum) {
+    this._dropQueued(job => job.pageNum === pageNum);
+
     const rec = this._rendered.get(pageNum);
     if (rec?.renderTask) {
       try { rec.renderTask.cancel(); } catch (_) {}
@@ -139,14 +478,114 @@ class PdfRenderer {
   }
 
   cancelAll() {
+    this._dropQueued(() => true);
     for (const [num] of this._rendered) {
       this.cancelPage(num);
     }
     this._rendered.clear();
   }
 
+  /**
+   * Render one rectangle of a page, for sharp zoom tiles.
+   * The page is laid out `pxWidth` device pixels wide; `rect` is in
+   * those pixels and the canvas is sized to it.
+   * Returns { promise → true when drawn, cancel() }.
+   */
+  renderRegion(pageNum, pxWidth, rect, canvas) {
+    let task      = null;
+    let cancelled = false;
+
+    const promise = (async () => {
+      const page = await this.pdfDoc.getPage(pageNum);
+      if (cancelled) return false;
+
+      const vp0 = page.getViewport({ scale: 1 });
+      const vp  = page.getViewport({
+        scale:   pxWidth / vp0.width,
+        offsetX: -rect.x,
+        offsetY: -rect.y,
+      });
+
+      canvas.width  = rect.w;
+      canvas.height = rect.h;
+      task = page.render({
+        canvasContext: canvas.getContext('2d', { alpha: false }),
+        viewport:      vp,
+        intent:        'display',
+      });
+
+      try {
+        await task.promise;
+        return true;
+      } catch (err) {
+        if (err?.name === 'RenderingCancelledException') return false;
+        throw err;
+      } finally {
+        page.cleanup();
+      }
+    })();
+
+    return {
+      promise,
+      cancel() {
+        cancelled = true;
+        if (task) { try { task.cancel(); } catch (_) {} }
+      },
+    };
+  }
+
+  /* PDF.js keeps nothing extra around for regions */
+  releaseRegions() {}
+
+  /* Document info dictionary — { title, author }, either may be missing */
+  async getMetadata() {
+    const { info } = await this.pdfDoc.getMetadata();
+    const text = (v) => (typeof v === 'string' && v.trim()) || undefined;
+    return { title: text(info?.Title), author: text(info?.Author) };
+  }
+
+  /**
+   * Document outline flattened in reading order: [{ title, page, depth }].
+   * Entries whose destination can't be resolved to a page are dropped,
+   * but their children are kept.
+   */
+  async getOutline() {
+    const outline = await this.pdfDoc.getOutline();
+    const items   = [];
+
+    const walk = async (nodes, depth) => {
+      for (const node of nodes) {
+        const page = await this._resolveDest(node.dest);
+        if (page) items.push({ title: node.title.trim() || `Page ${page}`, page, depth });
+        if (node.items?.length) await walk(node.items, depth + 1);
+      }
+    };
+
+    if (outline) await walk(outline, 0);
+    return items;
+  }
+
+  /* Named or explicit destination → 1-based page number */
+  async _resolveDest(dest) {
+    try {
+      const explicit = typeof dest === 'string' ? await this.pdfDoc.getDestination(dest) : dest;
+      if (!Array.isArray(explicit)) return null;
+
+      // First element is a page ref object, or already a page index
+      const ref   = explicit[0];
+      const index = typeof ref === 'object' ? await this.pdfDoc.getPageIndex(ref) : ref;
+      return Number.isInteger(index) ? index + 1 : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
   destroy() {
     this.cancelAll();
+    this._cache.clear();
+    if (this._worker) this._worker.close();
+    this._worker = null;
+    this._blob   = null;
     if (this.pdfDoc) {
       this.pdfDoc.destroy();
       this.pdfDoc = null;
@@ -170,64 +609,388 @@ class PdfRenderer {
   }
 }
 
+/* ═══════════════════════════════════════════════
+   CBZ RENDERER
+   Zip-of-images page source, same interface as PdfRenderer
+═══════════════════════════════════════════════ */
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png',
+  gif: 'image/gif',  webp: 'image/webp', avif: 'image/avif', bmp: 'image/bmp',
+};
+
+/**
+ * Read pixel dimensions from an image header without decoding it.
+ * Covers PNG, GIF, JPEG and WebP; returns null for anything else.
+ */
+function probeImageSize(bytes) {
+  const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  try {
+    // PNG — IHDR is always the first chunk
+    if (v.getUint32(0) === 0x89504e47) {
+      return { width: v.getUint32(16), height: v.getUint32(20) };
+    }
+    // GIF87a / GIF89a
+    if (v.getUint32(0) === 0x47494638) {
+      return { width: v.getUint16(6, true), height: v.getUint16(8, true) };
+    }
+    // JPEG — walk segments to the first start-of-frame
+    if (v.getUint16(0) === 0xffd8) {
+      let p = 2;
+      while (p + 9 < v.byteLength) {
+        if (v.getUint8(p) !== 0xff) return null;
+        const marker = v.getUint8(p + 1);
+        if (marker === 0xff) { p++; continue; }
+        const isSOF = marker >= 0xc0 && marker <= 0xcf &&
+                      marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+        if (isSOF) return { width: v.getUint16(p + 7), height: v.getUint16(p + 5) };
+        p += 2 + v.getUint16(p + 2);
+      }
+      return null;
+    }
+    // WebP — RIFF container, lossy / lossless / extended
+    if (v.getUint32(0) === 0x52494646 && v.getUint32(8) === 0x57454250) {
+      const chunk = v.getUint32(12);
+      if (chunk === 0x56503820) { // 'VP8 '
+        return { width: v.getUint16(26, true) & 0x3fff, height: v.getUint16(28, true) & 0x3fff };
+      }
+      if (chunk === 0x5650384c) { // 'VP8L'
+        const b = v.getUint32(21, true);
+        return { width: (b & 0x3fff) + 1, height: ((b >>> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 0x56503858) { // 'VP8X'
+        const u24 = (o) => v.getUint8(o) | (v.getUint8(o + 1) << 8) | (v.getUint8(o + 2) << 16);
+        return { width: u24(24) + 1, height: u24(27) + 1 };
+      }
+    }
+  } catch (_) {
+    // Truncated header
+  }
+  return null;
+}
+
+/* Natural order — "page2" sorts before "page10" */
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+class CbzRenderer {
+  constructor() {
+    this.totalPages = 0;
+    this._zip       = null;
+    this._pages     = [];          // Ordered image entries
+    this._sizes     = new Map();   // Map<pageNum, {width, height}>
+    // Map<pageNum, {canvas, renderTask}> — mirrors PdfRenderer
+    this._rendered  = new Map();
+    // Decoded bitmap of the page being zoomed, shared by its tiles
+    this._tileSource = null;       // { pageNum, bmp: Promise<ImageBitmap> }
+    // Scaled pages, as PdfRenderer
+    this._cache      = new BitmapCache();
+  }
+
+  async load(blob) {
+    this._zip = await Zip.open(blob);
+
+    this._pages = this._zip.entries
+      .filter(e => !e.dir && this._imageType(e.name))
+      // Skip macOS resource forks and hidden files
+      .filter(e => !/(^|\/)(__MACOSX\/|\.)/.test(e.name))
+      .sort((a, b) => naturalCollator.compare(a.name, b.name));
+
+    if (!this._pages.length) throw new Error('No images in archive');
+    this.totalPages = this._pages.length;
+    return this.totalPages;
+  }
+
+  _imageType(name) {
+    const ext = name.slice(name.lastIndexOf('.') + 1).toLowerCase();
+    return IMAGE_TYPES[ext] || null;
+  }
+
+  async _decode(pageNum) {
+    const entry = this._pages[pageNum - 1];
+    const raw   = await this._zip.read(entry);
+    const blob  = new Blob([raw], { type: this._imageType(entry.name) });
+    const bmp   = await createImageBitmap(blob);
+    this._sizes.set(pageNum, { width: bmp.width, height: bmp.height });
+    return bmp;
+  }
+
+  _draw(bmp, targetWidth, canvas) {
+    const scale = targetWidth / bmp.width;
+    canvas.width  = Math.round(bmp.width * scale);
+    canvas.height = Math.round(bmp.height * scale);
+
+    const ctx = canvas.getContext('2d', { alpha: false });
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bmp, 0, 0, canvas.width, canvas.height);
+  }
+
+  /* Returns intrinsic pixel size of a page image — header probe, decode as fallback */
+  async getPageSize(pageNum) {
+    if (!this._sizes.has(pageNum)) {
+      const head = await this._zip.read(this._pages[pageNum - 1], 65536);
+      const size = probeImageSize(new Uint8Array(await head.arrayBuffer()));
+      if (size) this._sizes.set(pageNum, size);
+      else (await this._decode(pageNum)).close();
+    }
+    return { ...this._sizes.get(pageNum) };
+  }
+
+  async renderPage(pageNum, targetWidth, canvas, onDone) {
+    this.cancelPage(pageNum);
+
+    const pxWidth = Math.round(targetWidth * Math.min(window.devicePixelRatio, 2));
+    const key     = this._cache.key(pageNum, pxWidth);
+    const cached  = this._cache.get(key);
+    if (cached) {
+      paintBitmap(cached, canvas);
+      onDone && onDone(canvas);
+      return true;
+    }
+
+    // Decoding can't be aborted — a cancelled task just discards its result
+    const renderTask = { cancelled: false, cancel() { this.cancelled = true; } };
+    this._rendered.set(pageNum, { canvas, renderTask });
+
+    try {
+      const bmp = await this._decode(pageNum);
+      if (renderTask.cancelled) { bmp.close(); return false; }
+
+      this._draw(bmp, pxWidth, canvas);
+      bmp.close();
+      onDone && onDone(canvas);
+      const copy = await createImageBitmap(canvas);
+      // destroy() may have cleared the cache while the bitmap was being made
+      if (this._zip) this._cache.set(key, copy);
+      else copy.close();
+      return true;
+    } catch (err) {
+      console.warn(`Page ${pageNum} render error:`, err);
+      return false;
+    }
+  }
+
+  /* Images decode quickly enough unscheduled — see PdfRenderer.setFocus */
+  setFocus() {}
+
+  cancelPage(pageNum) {
+    const rec = this._rendered.get(pageNum);
+    if (rec?.renderTask) rec.renderTask.cancel();
+    this._rendered.delete(pageNum);
+  }
+
+  cancelAll() {
+    for (const [num] of this._rendered) {
+      this.cancelPage(num);
+    }
+    this._rendered.clear();
+  }
+
+  /* Same contract as PdfRenderer.renderRegion */
+  renderRegion(pageNum, pxWidth, rect, canvas) {
+    let cancelled = false;
+
+    if (this._tileSource?.pageNum !== pageNum) {
+      this.releaseRegions();
+      this._tileSource = { pageNum, bmp: this._decode(pageNum) };
+    }
+    const source = this._tileSource;
+
+    const promise = source.bmp.then((bmp) => {
+      if (cancelled) return false;
+      const f = bmp.width / pxWidth;
+      canvas.width  = rect.w;
+      canvas.height = rect.h;
+      const ctx = canvas.getContext('2d', { alpha: false });
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, rect.w, rect.h);
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(bmp, rect.x * f, rect.y * f, rect.w * f, rect.h * f, 0, 0, rect.w, rect.h);
+      return true;
+    });
+
+    return { promise, cancel() { cancelled = true; } };
+  }
+
+  /* Drop the bitmap kept for zoom tiles */
+  releaseRegions() {
+    if (!this._tileSource) return;
+    this._tileSource.bmp.then(bmp => bmp.close(), () => {});
+    this._tileSource = null;
+  }
+
+  /* Image archives carry no outline */
+  async getOutline() {
+    return [];
+  }
+
+  async getMetadata() {
+    return {};
+  }
+
+  destroy() {
+    this.cancelAll();
+    this.releaseRegions();
+    this._cache.clear();
+    this._zip   = null;
+    this._pages = [];
+  }
+
+  async renderThumbnail(pageNum = 1, thumbWidth = 240) {
+    if (!this._zip) return null;
+    const bmp    = await this._decode(pageNum);
+    const canvas = document.createElement('canvas');
+    this._draw(bmp, thumbWidth, canvas);
+    bmp.close();
+    return canvas;
+  }
+}
+
+/* ═══════════════════════════════════════════════
+   PAGE SOURCES
+   Picks the renderer for a comic's file format
+═══════════════════════════════════════════════ */
+const PageSource = {
+  /* Detect format from a picked File; null if unsupported */
+  detectFormat(file) {
+    const name = file.name.toLowerCase();
+    if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+    if (file.type === 'application/vnd.comicbook+zip' || name.endsWith('.cbz')) return 'cbz';
+    return null;
+  },
+
+  /* Records imported before CBZ support have no format — they're PDFs */
+  create(format = 'pdf') {
+    return format === 'cbz' ? new CbzRenderer() : new PdfRenderer();
+  }
+};
+
+/* ═══════════════════════════════════════════════
+   SPREAD LAYOUT
+   Groups pages into the slots VirtualScroll shows
+═══════════════════════════════════════════════ */
+
+/**
+ * Build page groups for two-page spreads.
+ * Wide pages (already double-width) always stand alone.
+ * @param {Array<{width, height}>} sizes — index 0 is page 1
+ * @param {object} opts — { coverAlone, shift }
+ * @returns {number[][]} e.g. [[1], [2, 3], [4, 5], [6]]
+ */
+function buildSpreads(sizes, { coverAlone = true, shift = false } = {}) {
+  const total  = sizes.length;
+  const isWide = (p) => sizes[p - 1].width > sizes[p - 1].height;
+  const groups = [];
+  let p = 1;
+
+  if (coverAlone && p <= total) groups.push([p++]);
+  // Shift the pairing by one page — e.g. when a spread lands split
+  if (shift && p <= total) groups.push([p++]);
+
+  while (p <= total) {
+    if (!isWide(p) && p + 1 <= total && !isWide(p + 1)) {
+      groups.push([p, p + 1]);
+      p += 2;
+    } else {
+      groups.push([p++]);
+    }
+  }
+  return groups;
+}
+
+/* One page per slot */
+function singlePages(totalPages) {
+  return Array.from({ length: totalPages }, (_, i) => [i + 1]);
+}
+
 /* ═══════════════════════════════════════════════
    VIRTUAL SCROLL MANAGER
    Renders only visible + adjacent pages
-   Uses IntersectionObserver for visibility detection
+   Uses IntersectionObserver for visibility detection;
+   the current slot follows the scroll position
+   (vertical) or the page the reader pages to
+   (horizontal, see setCurrentSlot)
+   Each slot holds one page, or two in spread layout
 ═══════════════════════════════════════════════ */
 class VirtualScroll {
-  constructor(renderer, container, viewport, totalPages, mode, onPageChange) {
+  constructor(renderer, container, viewport, groups, mode, fit, sizes, strip, onPageChange) {
     this.renderer    = renderer;
     this.container   = container;
     this.viewport    = viewport;
-    this.totalPages  = totalPages;
+    this.groups      = groups; // Array<pageNum[]>, one entry per slot
     this.mode        = mode; // 'vertical' | 'horizontal'
+    this.fit         = fit;  // 'width' | 'height' | 'screen' | 'original'
+    this.sizes       = sizes; // Array<{width, height}> intrinsic, index = page - 1
+    this.strip       = strip; // { crop } for a gapless webtoon strip, else null
     this.onPageChange = onPageChange;
 
     this._slots     = []; // Array of DOM slot elements
     this._observer  = null;
-    this._rendered  = new Set();   // page numbers currently rendered
-    this._pending   = new Set();   // page numbers queued
-    this._maxBuffered = 5;         // max pages to keep in memory
+    this._rendered  = new Set();   // slot indices currently rendered
+    this._pending   = new Set();   // slot indices queued
+    this._maxBuffered = 5;         // max slots to keep in memory
+    this._gen       = 0;           // bumps on resize so renders at the old width are dropped
+
+    // Map<pageNum, slotIndex>
+    this._slotOfPage = new Map();
+    this.groups.forEach((pages, i) => pages.forEach(p => this._slotOfPage.set(p, i + 1)));
 
+    this._currentSlot = 1;
     this._currentPage = 1;
+    this._readDir     = 1;         // 1 reading forward, -1 paging back
+    this._prefetch    = strip ? 3 : 2;  // slots warmed ahead — a strip must never show a seam
     this._viewW = viewport.clientWidth;
     this._viewH = viewport.clientHeight;
+    this._trackRaf = 0;            // pending scroll → current slot update
+
+    this._onScroll = () => {
+      if (!this._trackRaf) this._trackRaf = requestAnimationFrame(() => this._track());
+    };
 
     this._init();
   }
 
   _init() {
-    // Create all page slot placeholders
-    for (let i = 1; i <= this.totalPages; i++) {
+    // Create all slot placeholders
+    this.groups.forEach((pages, i) => {
       const slot = document.createElement('div');
-      slot.className = 'page-slot';
-      slot.dataset.page = i;
-      slot.setAttribute('aria-label', `Page ${i}`);
-
-      // Placeholder spinner
-      const ph = document.createElement('div');
-      ph.className = 'page-placeholder';
-      const spinner = document.createElement('div');
-      spinner.className = 'page-spinner';
-      ph.appendChild(spinner);
-      slot.appendChild(ph);
+      slot.className = pages.length > 1 ? 'page-slot spread' : 'page-slot';
+      slot.dataset.slot = i + 1;
+      slot.setAttribute('aria-label', pages.length > 1
+        ? `Pages ${pages[0]}–${pages[1]}`
+        : `Page ${pages[0]}`);
 
-      if (this.mode === 'vertical') {
-        // Set an estimated height to prevent layout collapse
-        slot.style.minHeight = Math.round(this._viewH * 1.3) + 'px';
-        slot.style.width = '100%';
-      } else {
-        slot.style.width  = this._viewW + 'px';
-        slot.style.height = this._viewH + 'px';
-        slot.style.minWidth = this._viewW + 'px';
-      }
+      this._addPlaceholder(slot);
 
       this.container.appendChild(slot);
       this._slots.push(slot);
-    }
+      this._sizeSlot(i + 1);
+    });
 
     this._setupObserver();
+    if (this.mode === 'vertical') this.viewport.addEventListener('scroll', this._onScroll, { passive: true });
+  }
+
+  _sizeSlot(slotIdx) {
+    const slot = this._slots[slotIdx - 1];
+    if (this.mode === 'vertical') {
+      // Exact height up front, so nothing shifts as pages render
+      slot.style.height = this._slotHeight(slotIdx) + 'px';
+      slot.style.width  = '100%';
+    } else {
+      slot.style.width  = this._viewW + 'px';
+      slot.style.height = this._viewH + 'px';
+      slot.style.minWidth = this._viewW + 'px';
+    }
+  }
+
+  _addPlaceholder(slot, before = null) {
+    const ph = document.createElement('div');
+    ph.className = 'page-placeholder';
+    const spinner = document.createElement('div');
+    spinner.className = 'page-spinner';
+    ph.appendChild(spinner);
+    slot.insertBefore(ph, before);
   }
 
   _setupObserver() {
@@ -244,143 +1007,657 @@ class VirtualScroll {
       }
     );
 
-    this._slots.forEach(slot => this._observer.observe(slot));
+    this._slots.forEach(slot => this._observer.observe(slot));
+  }
+
+  _onIntersect(entries) {
+    for (const entry of entries) {
+      const slotIdx = parseInt(entry.target.dataset.slot);
+      if (entry.isIntersecting) {
+        this._scheduleRender(slotIdx, entry.target);
+      } else {
+        this._evictPage(slotIdx, entry.target);
+      }
+    }
+  }
+
+  /* Slot under a y offset into the container — slots are exactly sized, so offsetTop is final */
+  _slotAt(y) {
+    let lo = 0, hi = this._slots.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this._slots[mid].offsetTop <= y) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  }
+
+  /* Vertical: the slot under the middle of the viewport is the current one */
+  _track() {
+    this._trackRaf = 0;
+    if (!this._slots.length) return;
+    this.setCurrentSlot(this._slotAt(this.viewport.scrollTop + this._viewH / 2));
+  }
+
+  /**
+   * Make a slot current: refocus the render queue, prefetch ahead and
+   * report the page. Horizontal paging calls this when it settles on a slot.
+   */
+  setCurrentSlot(slotIdx) {
+    if (slotIdx === this._currentSlot) return;
+    this._setFocus(slotIdx);
+    this._currentSlot = slotIdx;
+    this._currentPage = this.groups[slotIdx - 1][0];
+    this.onPageChange && this.onPageChange(this._currentPage, slotIdx);
+  }
+
+  /* Point the renderer's queue at the new slot and warm the next ones in the reading direction */
+  _setFocus(slotIdx) {
+    const page = this.groups[slotIdx - 1][0];
+    if (page !== this._currentPage) this._readDir = page > this._currentPage ? 1 : -1;
+    this.renderer.setFocus(page, this._readDir);
+
+    for (let k = 1; k <= this._prefetch; k++) {
+      const ahead = slotIdx + k * this._readDir;
+      if (ahead >= 1 && ahead <= this._slots.length) this._scheduleRender(ahead, this._slots[ahead - 1]);
+    }
+  }
+
+  _scheduleRender(slotIdx, slot) {
+    if (this._rendered.has(slotIdx) || this._pending.has(slotIdx)) return;
+
+    this._pending.add(slotIdx);
+    this._renderSlot(slotIdx, slot);
+  }
+
+  async _renderSlot(slotIdx, slot) {
+    // Memory guard — evict far slots if over limit
+    this._evictFarPages(slotIdx);
+
+    const pages  = this.groups[slotIdx - 1];
+    const fitted = this._fitSlot(slotIdx);
+    const gen    = this._gen;
+    let done   = 0;
+    let failed = 0;
+
+    // Once every page has settled the spinner goes, even if one failed;
+    // a slot with a failed page isn't marked rendered, so it retries in view
+    const settle = () => {
+      if (done + failed < pages.length) return;
+      const ph = slot.querySelector('.page-placeholder');
+      if (ph) ph.remove();
+      if (!failed) this._rendered.add(slotIdx);
+      this._pending.delete(slotIdx);
+    };
+
+    await Promise.all(pages.map(async (pageNum, i) => {
+      let canvas = slot.querySelector(`canvas.page-canvas[data-page="${pageNum}"]`);
+      if (!canvas) {
+        canvas = document.createElement('canvas');
+        canvas.className = 'page-canvas';
+        canvas.dataset.page = pageNum;
+        canvas.style.opacity = '0';
+      }
+      canvas.style.width  = fitted[i].width + 'px';
+      canvas.style.height = fitted[i].height + 'px';
+
+      try {
+        const drawn = await this.renderer.renderPage(pageNum, fitted[i].width, canvas, (c) => {
+          if (gen !== this._gen) return;   // resized meanwhile — the new width redraws it
+          if (!slot.contains(c)) {
+            // Keep page order within a spread regardless of finish order
+            const next = [...slot.querySelectorAll('canvas.page-canvas')]
+              .find(other => parseInt(other.dataset.page) > pageNum);
+            slot.insertBefore(c, next || null);
+          }
+
+          // Smooth appear
+          requestAnimationFrame(() => {
+            c.style.transition = 'opacity 0.2s ease';
+            c.style.opacity    = '1';
+          });
+
+          done++;
+          settle();
+        });
+        // Cancelled or dropped as stale — let the slot queue again when it's back in view
+        if (!drawn && gen === this._gen) this._pending.delete(slotIdx);
+      } catch (err) {
+        if (gen === this._gen) {
+          failed++;
+          settle();
+        }
+        console.warn('Render failed for page', pageNum, err);
+      }
+    }));
+  }
+
+  /* CSS sizes of a slot's pages — spread pages share the slot width */
+  _fitSlot(slotIdx) {
+    const pages = this.groups[slotIdx - 1];
+    // Cropped strips draw wider than the slot; the side margins overflow out of view
+    const boxW  = this._viewW / pages.length / (1 - 2 * (this.strip?.crop || 0));
+    return pages.map(p => this._fitSize(this.sizes[p - 1], boxW, this._viewH));
+  }
+
+  _slotHeight(slotIdx) {
+    return Math.max(...this._fitSlot(slotIdx).map(f => f.height));
+  }
+
+  /**
+   * CSS size of a page inside a box under the current fit mode.
+   * 'original' maps one PDF point / image pixel to one CSS pixel.
+   */
+  _fitSize(size, boxW, boxH) {
+    const sw = boxW / size.width;
+    const sh = boxH / size.height;
+    const scale = {
+      width:    sw,
+      height:   sh,
+      screen:   Math.min(sw, sh),
+      original: 1,
+    }[this.fit] ?? sw;
+
+    return {
+      width:  Math.round(size.width * scale),
+      height: Math.round(size.height * scale),
+    };
+  }
+
+  _evictPage(slotIdx, slot) {
+    // Only evict slots that are far outside viewport (already handled by observer leaving)
+    // Keep a buffer of _maxBuffered slots
+    if (!this._rendered.has(slotIdx)) return;
+
+    // Check if within safety buffer of current slot
+    const dist = Math.abs(slotIdx - this._currentSlot);
+    if (dist <= 2) return; // Keep ±2 slots always
+
+    this.groups[slotIdx - 1].forEach(p => this.renderer.cancelPage(p));
+    slot.querySelectorAll('.zoom-tile').forEach(t => t.remove());
+    const canvases = slot.querySelectorAll('canvas.page-canvas');
+    if (canvases.length) {
+      // Re-add placeholder
+      if (!slot.querySelector('.page-placeholder')) {
+        this._addPlaceholder(slot, canvases[0]);
+      }
+      canvases.forEach(canvas => {
+        canvas.style.opacity = '0';
+        setTimeout(() => canvas.remove(), 200);
+      });
+    }
+    this._rendered.delete(slotIdx);
+  }
+
+  _evictFarPages(nearSlot) {
+    if (this._rendered.size < this._maxBuffered) return;
+
+    // Find the farthest rendered slot
+    let farthest = -1;
+    let maxDist  = 0;
+    for (const s of this._rendered) {
+      const d = Math.abs(s - nearSlot);
+      if (d > maxDist) { maxDist = d; farthest = s; }
+    }
+    if (farthest > 0 && maxDist > 3) {
+      const farSlot = this._slots[farthest - 1];
+      if (farSlot) this._evictPage(farthest, farSlot);
+    }
+  }
+
+  /* Slot index (1-based) holding a page */
+  slotOf(pageNum) {
+    return this._slotOfPage.get(pageNum) || 1;
+  }
+
+  /* First page shown in a slot */
+  pageAt(slotIdx) {
+    return this.groups[clamp(slotIdx, 1, this.groups.length) - 1][0];
+  }
+
+  get slotCount() { return this.groups.length; }
+
+  slotElement(slotIdx) {
+    return this._slots[slotIdx - 1] || null;
+  }
+
+  scrollToPage(pageNum, smooth = false) {
+    const slot = this._slots[this.slotOf(pageNum) - 1];
+    if (!slot) return;
+    // Refocus now so renders left around the old position are dropped before they start
+    this.renderer.setFocus(pageNum, pageNum >= this._currentPage ? 1 : -1);
+    slot.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'start', inline: 'start' });
+  }
+
+  getCurrentPage() { return this._currentPage; }
+
+  /**
+   * Re-fit every slot to the viewport's new size. Drawn pages stay up,
+   * stretched, until they redraw at the new width; the vertical scroll
+   * position is kept within the current page. Returns false if unchanged.
+   */
+  resize() {
+    const w = this.viewport.clientWidth;
+    const h = this.viewport.clientHeight;
+    if (w === this._viewW && h === this._viewH) return false;
+
+    const anchor = this.anchor();
+    this._viewW = w;
+    this._viewH = h;
+
+    // Renders in flight are for the old width
+    this._gen++;
+    this.renderer.cancelAll();
+    this._pending.clear();
+
+    this._slots.forEach((slot, i) => {
+      this._sizeSlot(i + 1);
+      const fitted = this._fitSlot(i + 1);
+      this.groups[i].forEach((pageNum, k) => {
+        const canvas = slot.querySelector(`canvas.page-canvas[data-page="${pageNum}"]`);
+        if (!canvas) return;
+        canvas.style.width  = fitted[k].width + 'px';
+        canvas.style.height = fitted[k].height + 'px';
+      });
+    });
+
+    if (this.mode === 'vertical') this.restoreAnchor(anchor);
+
+    // Redraw what's near at the new width; far slots are let go
+    for (const s of [...this._rendered]) {
+      const slot = this._slots[s - 1];
+      if (Math.abs(s - this._currentSlot) > 2) this._evictPage(s, slot);
+      else { this._pending.add(s); this._renderSlot(s, slot); }
+    }
+
+    // Margins are viewport-sized; re-observing also re-queues every slot in view
+    this._observer.disconnect();
+    this._setupObserver();
+    return true;
+  }
+
+  /**
+   * Reading position as { page, offset }, read straight from scrollTop:
+   * the page under the middle of the viewport (the current one, see
+   * _track) and how far down it that middle is, 0–1. Survives slots
+   * changing height. Horizontal positions have no offset (null).
+   */
+  anchor() {
+    if (this.mode !== 'vertical' || !this._slots.length) return { page: this._currentPage, offset: null };
+
+    const mid     = this.viewport.scrollTop + this._viewH / 2;
+    const slotIdx = this._slotAt(mid);
+    const slot    = this._slots[slotIdx - 1];
+    return {
+      page:   this.groups[slotIdx - 1][0],
+      offset: clamp((mid - slot.offsetTop) / slot.offsetHeight, 0, 1),
+    };
+  }
+
+  /* Back to an anchor(); without an offset the page's top is brought into view */
+  restoreAnchor({ page, offset }) {
+    const slot = this._slots[this.slotOf(page) - 1];
+    if (!slot) return;
+    if (this.mode !== 'vertical' || offset == null) return this.scrollToPage(page);
+
+    this.renderer.setFocus(page, page >= this._currentPage ? 1 : -1);
+    this.viewport.scrollTop = slot.offsetTop + offset * slot.offsetHeight - this._viewH / 2;
+  }
+
+  destroy() {
+    if (this._observer) this._observer.disconnect();
+    this.viewport.removeEventListener('scroll', this._onScroll);
+    cancelAnimationFrame(this._trackRaf);
+    this._slots = [];
+    this._rendered.clear();
+    this._pending.clear();
+  }
+}
+
+/* ═══════════════════════════════════════════════
+   ZOOM TILES
+   Re-renders the visible part of zoomed pages at
+   the real zoom level, in fixed-size tiles
+═══════════════════════════════════════════════ */
+class TileLayer {
+  constructor(renderer, container, viewport) {
+    this.renderer  = renderer;
+    this.container = container;
+    this.viewport  = viewport;
+
+    this.TILE_PX   = 256;  // on-screen CSS size of one tile
+    this.MAX_TILES = 48;   // hard cap — bounds memory at any zoom
+
+    this._tiles = new Map();  // Map<"page:col:row", {el, task}>
+    this._zoom  = 1;
+    this._gen   = 0;          // bumps on every update/clear to drop stale work
   }
 
-  _onIntersect(entries) {
-    for (const entry of entries) {
-      const pageNum = parseInt(entry.target.dataset.page);
-      if (entry.isIntersecting) {
-        this._scheduleRender(pageNum, entry.target);
-        // Update current page
-        const mid = this.mode === 'vertical'
-          ? entry.boundingClientRect.top + entry.boundingClientRect.height / 2
-          : entry.boundingClientRect.left + entry.boundingClientRect.width / 2;
-
-        const viewMid = this.mode === 'vertical'
-          ? this._viewH / 2
-          : this._viewW / 2;
-
-        if (Math.abs(mid - viewMid) < (this.mode === 'vertical' ? this._viewH * 0.6 : this._viewW * 0.6)) {
-          if (this._currentPage !== pageNum) {
-            this._currentPage = pageNum;
-            this.onPageChange && this.onPageChange(pageNum);
-          }
+  /* Tile the visible area of every on-screen page for `zoom` */
+  async update(zoom) {
+    if (zoom <= 1.05) return this.clear();
+    // Tiles from another zoom level would be drawn at the wrong density
+    if (zoom !== this._zoom) this._dropAll();
+    this._zoom = zoom;
+    const gen  = ++this._gen;
+
+    const dpr   = Math.min(window.devicePixelRatio, 2);
+    const tile  = Math.round(this.TILE_PX * dpr);   // tile size in device px
+    const view  = this.viewport.getBoundingClientRect();
+    const wanted = [];
+
+    for (const pageCanvas of this.container.querySelectorAll('canvas.page-canvas')) {
+      const r = pageCanvas.getBoundingClientRect();
+      const left   = Math.max(r.left, view.left);
+      const right  = Math.min(r.right, view.right);
+      const top    = Math.max(r.top, view.top);
+      const bottom = Math.min(r.bottom, view.bottom);
+      if (right <= left || bottom <= top) continue;
+
+      // Page laid out at zoom × dpr; k maps on-screen px to those px
+      const cssW    = parseFloat(pageCanvas.style.width);
+      const cssH    = parseFloat(pageCanvas.style.height);
+      const pxPerCss = zoom * dpr;
+      const pxW     = Math.round(cssW * pxPerCss);
+      const pxH     = Math.round(cssH * pxPerCss);
+      const k       = pxW / r.width;
+
+      const c0 = Math.floor((left - r.left) * k / tile);
+      const c1 = Math.ceil((right - r.left) * k / tile);
+      const r0 = Math.floor((top - r.top) * k / tile);
+      const r1 = Math.ceil((bottom - r.top) * k / tile);
+
+      for (let row = r0; row < r1; row++) {
+        for (let col = c0; col < c1; col++) {
+          const x = col * tile;
+          const y = row * tile;
+          wanted.push({
+            key:  `${pageCanvas.dataset.page}:${col}:${row}`,
+            page: parseInt(pageCanvas.dataset.page),
+            pageCanvas,
+            pxW,
+            pxPerCss,
+            rect: { x, y, w: Math.min(tile, pxW - x), h: Math.min(tile, pxH - y) },
+          });
         }
-      } else {
-        this._evictPage(pageNum, entry.target);
       }
     }
-  }
 
-  _scheduleRender(pageNum, slot) {
-    if (this._rendered.has(pageNum) || this._pending.has(pageNum)) return;
+    // Drop tiles that scrolled out of view
+    const keep = new Set(wanted.map(t => t.key));
+    for (const [key, t] of this._tiles) {
+      if (!keep.has(key)) this._drop(key, t);
+    }
 
-    this._pending.add(pageNum);
-    this._renderSlot(pageNum, slot);
+    // Render missing tiles one at a time so reading never stalls
+    for (const t of wanted) {
+      if (gen !== this._gen) return;
+      if (this._tiles.has(t.key) || this._tiles.size >= this.MAX_TILES) continue;
+      await this._renderTile(t);
+    }
   }
 
-  async _renderSlot(pageNum, slot) {
-    // Memory guard — evict far pages if over limit
-    this._evictFarPages(pageNum);
+  async _renderTile({ key, page, pageCanvas, pxW, pxPerCss, rect }) {
+    const el = document.createElement('canvas');
+    el.className = 'zoom-tile';
+    el.style.left   = (pageCanvas.offsetLeft + rect.x / pxPerCss) + 'px';
+    el.style.top    = (pageCanvas.offsetTop  + rect.y / pxPerCss) + 'px';
+    el.style.width  = (rect.w / pxPerCss) + 'px';
+    el.style.height = (rect.h / pxPerCss) + 'px';
 
-    let canvas = slot.querySelector('canvas.page-canvas');
-    if (!canvas) {
-      canvas = document.createElement('canvas');
-      canvas.className = 'page-canvas';
-      canvas.style.opacity = '0';
+    const task = this.renderer.renderRegion(page, pxW, rect, el);
+    this._tiles.set(key, { el, task });
+
+    try {
+      const drawn = await task.promise;
+      if (!drawn || this._tiles.get(key)?.el !== el) return;
+      pageCanvas.parentElement?.appendChild(el);
+      requestAnimationFrame(() => el.classList.add('visible'));
+    } catch (err) {
+      this._tiles.delete(key);
+      console.warn(`Zoom tile ${key} render error:`, err);
     }
+  }
 
-    const targetWidth = this.mode === 'vertical'
-      ? Math.round(this._viewW)
-      : Math.round(this._viewW);
+  _drop(key, t) {
+    t.task.cancel();
+    t.el.remove();
+    this._tiles.delete(key);
+  }
 
-    try {
-      await this.renderer.renderPage(pageNum, targetWidth, canvas, (c) => {
-        // Adjust slot size to match rendered content
-        if (this.mode === 'vertical') {
-          const aspect = c.height / c.width;
-          slot.style.minHeight = Math.round(this._viewW * aspect) + 'px';
-        }
+  _dropAll() {
+    for (const [key, t] of this._tiles) this._drop(key, t);
+  }
 
-        const ph = slot.querySelector('.page-placeholder');
-        if (ph) ph.remove();
+  /* Back to 1x — free every tile */
+  clear() {
+    this._gen++;
+    this._dropAll();
+    this._zoom = 1;
+    this.renderer.releaseRegions();
+  }
+}
 
-        if (!slot.contains(c)) {
-          slot.appendChild(c);
-        }
+/* ═══════════════════════════════════════════════
+   PAGE OVERVIEW
+   Full-screen grid of page thumbnails. Missing
+   thumbs are generated one at a time in idle time,
+   on-screen cells first, then outward from the
+   current page; results are cached in IndexedDB.
+═══════════════════════════════════════════════ */
+class PageOverview {
+  constructor(el, grid, onPick) {
+    this.el     = el;
+    this.grid   = grid;
+    this.onPick = onPick;
+
+    this.THUMB_PX = 160;
+
+    this._renderer = null;
+    this._comicId  = null;
+    this._current  = 1;
+    this._cells    = [];          // index = page - 1
+    this._jobs     = new Map();   // Map<page, priority> — lower runs first
+    this._running  = false;
+    this._gen      = 0;           // bumps on close so in-flight work is dropped
+    this._observer = null;
+  }
 
-        // Smooth appear
-        requestAnimationFrame(() => {
-          c.style.transition = 'opacity 0.2s ease';
-          c.style.opacity    = '1';
-        });
+  get isOpen() {
+    return !this.el.classList.contains('hidden');
+  }
 
-        this._rendered.add(pageNum);
-        this._pending.delete(pageNum);
-      });
-    } catch (err) {
-      this._pending.delete(pageNum);
-      console.warn('Render failed for page', pageNum, err);
+  async open(renderer, comicId, totalPages, currentPage) {
+    const gen = ++this._gen;
+    this._renderer = renderer;
+    this._comicId  = comicId;
+    this._current  = currentPage;
+
+    this.el.classList.remove('hidden');
+    this.grid.innerHTML = '';
+    this._cells = [];
+
+    const cached = await DB.getThumbs(comicId).catch(() => new Map());
+    if (gen !== this._gen) return;
+
+    const frag = document.createDocumentFragment();
+    for (let p = 1; p <= totalPages; p++) {
+      const cell = document.createElement('button');
+      cell.className    = 'overview-cell';
+      cell.dataset.page = p;
+      cell.innerHTML    = `<img class="overview-thumb" alt=""><span class="overview-num">${p}</span>`;
+      cell.classList.toggle('current', p === currentPage);
+      cell.addEventListener('click', () => this.onPick(p));
+
+      const url = cached.get(p);
+      if (url) this._show(cell, url);
+      else this._jobs.set(p, totalPages + Math.abs(p - currentPage));   // background
+
+      this._cells.push(cell);
+      frag.appendChild(cell);
     }
+    this.grid.appendChild(frag);
+    this._cells[currentPage - 1]?.scrollIntoView({ block: 'center' });
+
+    // On-screen cells jump the queue; off-screen ones drop back
+    this._observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const p = +entry.target.dataset.page;
+        if (!this._jobs.has(p)) continue;
+        const dist = Math.abs(p - this._current);
+        this._jobs.set(p, entry.isIntersecting ? dist : totalPages + dist);
+      }
+      this._pump();
+    }, { root: this.grid, rootMargin: '200px 0px' });
+
+    this._cells.forEach(cell => this._observer.observe(cell));
   }
 
-  _evictPage(pageNum, slot) {
-    // Only evict pages that are far outside viewport (already handled by observer leaving)
-    // Keep a buffer of _maxBuffered pages
-    if (!this._rendered.has(pageNum)) return;
+  close() {
+    this._gen++;
+    this._jobs.clear();
+    if (this._observer) this._observer.disconnect();
+    this._observer = null;
+    this._renderer = null;
+    this.el.classList.add('hidden');
+    this.grid.innerHTML = '';
+    this._cells = [];
+  }
 
-    // Check if within safety buffer of current page
-    const dist = Math.abs(pageNum - this._currentPage);
-    if (dist <= 2) return; // Keep ±2 pages always
+  _show(cell, url) {
+    const img = cell.querySelector('img');
+    img.src = url;
+    cell.classList.add('loaded');
+  }
 
-    this.renderer.cancelPage(pageNum);
-    const canvas = slot.querySelector('canvas.page-canvas');
-    if (canvas) {
-      canvas.style.opacity = '0';
-      // Re-add placeholder
-      if (!slot.querySelector('.page-placeholder')) {
-        const ph = document.createElement('div');
-        ph.className = 'page-placeholder';
-        const sp = document.createElement('div');
-        sp.className = 'page-spinner';
-        ph.appendChild(sp);
-        slot.insertBefore(ph, canvas);
+  _next() {
+    let page = 0, best = Infinity;
+    for (const [p, priority] of this._jobs) {
+      if (priority < best) { best = priority; page = p; }
+    }
+    this._jobs.delete(page);
+    return page;
+  }
+
+  /* One thumbnail at a time, yielding to the reader between each */
+  async _pump() {
+    if (this._running) return;
+    this._running = true;
+    const gen = this._gen;
+
+    while (this._jobs.size && gen === this._gen) {
+      await whenIdle();
+      if (gen !== this._gen) break;
+      const page = this._next();
+
+      try {
+        const canvas = await this._renderer.renderThumbnail(page, this.THUMB_PX);
+        if (!canvas || gen !== this._gen) continue;
+        const url = canvas.toDataURL('image/jpeg', 0.7);
+        this._show(this._cells[page - 1], url);
+        DB.saveThumb(this._comicId, page, url)
+          .catch(err => console.warn(`Thumbnail ${page} not cached`, err));
+      } catch (err) {
+        console.warn(`Thumbnail ${page} failed`, err);
       }
-      setTimeout(() => canvas.remove(), 200);
     }
-    this._rendered.delete(pageNum);
+
+    this._running = false;
+    // A close/reopen while we were busy may have queued new work
+    if (this._jobs.size) this._pump();
   }
+}
 
-  _evictFarPages(nearPage) {
-    if (this._rendered.size < this._maxBuffered) return;
+/* ═══════════════════════════════════════════════
+   AUTO-SCROLL
+   Hands-free scrolling for webtoon strips. A finger
+   on the page holds it; it picks up again shortly
+   after letting go, and stops at the end
+═══════════════════════════════════════════════ */
+class AutoScroller {
+  constructor(viewport, onChange) {
+    this.viewport = viewport;
+    this.onChange = onChange;   // (running) — play/pause button state
+
+    this.SPEED_KEY = 'inkflow.autoScrollSpeed';
+    this.MIN_SPEED = 20;        // CSS px per second
+    this.MAX_SPEED = 400;
+    this.RESUME_MS = 800;       // pause after the finger lifts
+
+    this.speed   = clamp(Number(localStorage.getItem(this.SPEED_KEY)) || 80, this.MIN_SPEED, this.MAX_SPEED);
+    this.running = false;
+
+    this._held   = false;
+    this._raf    = 0;
+    this._last   = 0;
+    this._carry  = 0;           // sub-pixel remainder — slow speeds move under 1px a frame
+    this._resumeTimer = null;
+  }
 
-    // Find the farthest rendered page
-    let farthest = -1;
-    let maxDist  = 0;
-    for (const p of this._rendered) {
-      const d = Math.abs(p - nearPage);
-      if (d > maxDist) { maxDist = d; farthest = p; }
-    }
-    if (farthest > 0 && maxDist > 3) {
-      const farSlot = this._slots[farthest - 1];
-      if (farSlot) this._evictPage(farthest, farSlot);
-    }
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._held   = false;
+    this._loop();
+    this.onChange(true);
   }
 
-  scrollToPage(pageNum, smooth = false) {
-    const slot = this._slots[pageNum - 1];
-    if (!slot) return;
-    slot.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'start', inline: 'start' });
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    this._held   = false;
+    cancelAnimationFrame(this._raf);
+    clearTimeout(this._resumeTimer);
+    this.onChange(false);
   }
 
-  getCurrentPage() { return this._currentPage; }
+  toggle() {
+    if (this.running) this.stop();
+    else this.start();
+  }
 
-  destroy() {
-    if (this._observer) this._observer.disconnect();
-    this._slots = [];
-    this._rendered.clear();
-    this._pending.clear();
+  setSpeed(speed) {
+    this.speed = clamp(speed, this.MIN_SPEED, this.MAX_SPEED);
+    localStorage.setItem(this.SPEED_KEY, String(this.speed));
+  }
+
+  hold() {
+    if (!this.running) return;
+    this._held = true;
+    cancelAnimationFrame(this._raf);
+    clearTimeout(this._resumeTimer);
+  }
+
+  release() {
+    if (!this.running || !this._held) return;
+    clearTimeout(this._resumeTimer);
+    this._resumeTimer = setTimeout(() => {
+      this._held = false;
+      this._loop();
+    }, this.RESUME_MS);
+  }
+
+  _loop() {
+    this._last  = performance.now();
+    this._carry = 0;
+    this._raf   = requestAnimationFrame((t) => this._tick(t));
+  }
+
+  _tick(now) {
+    // A long frame (tab in the background) shouldn't jump the strip
+    const dt = Math.min(now - this._last, 100) / 1000;
+    this._last   = now;
+    this._carry += this.speed * dt;
+
+    const step = Math.floor(this._carry);
+    if (step) {
+      this.viewport.scrollTop += step;
+      this._carry -= step;
+    }
+
+    const vp = this.viewport;
+    if (vp.scrollTop + vp.clientHeight >= vp.scrollHeight - 1) return this.stop();
+    this._raf = requestAnimationFrame((t) => this._tick(t));
   }
 }
 
@@ -388,6 +1665,15 @@ class VirtualScroll {
    READER
    Manages the fullscreen reading experience
 ═══════════════════════════════════════════════ */
+const FIT_MODES  = ['width', 'height', 'screen', 'original'];
+const FIT_LABELS = {
+  width:    'Fit width',
+  height:   'Fit height',
+  screen:   'Fit screen',
+  original: 'Original size',
+};
+const WEBTOON_CROPS = [0, 0.05, 0.1];   // fraction trimmed off each side
+
 class Reader {
   constructor() {
     this.el            = document.getElementById('reader');
@@ -407,15 +1693,52 @@ class Reader {
     this.zoomLevel     = document.getElementById('zoomLevel');
     this.tapZoneL      = document.getElementById('tapZoneLeft');
     this.tapZoneR      = document.getElementById('tapZoneRight');
+    this.bookmarkPanel = document.getElementById('bookmarkPanel');
+    this.bookmarkList  = document.getElementById('bookmarkList');
+    this.nextVolBtn    = document.getElementById('btnNextVolume');
+    this.tocPanel      = document.getElementById('tocPanel');
+    this.tocList       = document.getElementById('tocList');
+    this.progressTrack = document.getElementById('progressTrack');
 
     this.renderer      = null;
     this.virtualScroll = null;
     this.gestures      = null;
+    this.tiles         = null;  // sharp re-render layer while zoomed
+    this.overview      = new PageOverview(
+      document.getElementById('pageOverview'),
+      document.getElementById('overviewGrid'),
+      (page) => {
+        this.overview.close();
+        this._goToPage(page);
+      }
+    );
 
     this.comic         = null;  // current comic meta
+    this.isOpen        = false; // cleared as soon as close() starts, not after the exit animation
     this.totalPages    = 0;
-    this.currentPage   = 1;
+    this.currentPage   = 1;  // first page of the current slot
+    this.currentSlot   = 1;  // slot index — differs from page in spread layout
     this.mode          = 'vertical'; // 'vertical' | 'horizontal'
+    this.direction     = 'ltr';      // 'ltr' | 'rtl' (manga) — horizontal mode only
+
+    /* Two-page spreads (horizontal mode only) */
+    this.layout        = 'single';   // 'single' | 'spread' | 'auto' (spread in landscape)
+    this.coverAlone    = true;       // page 1 gets its own slot
+    this.spreadShift   = false;      // offset pairing by one page
+    this._pageSizes    = null;       // intrinsic sizes, measured once per comic
+
+    /* Webtoon strip (vertical mode only) — gapless, always fit width */
+    this.webtoon       = false;
+    this.crop          = 0;          // one of WEBTOON_CROPS
+    this._pageOffset   = 0;          // 0–1 into the current page, saved with progress
+
+    /* Fit mode — null follows the reading mode's default */
+    this.fit           = null;       // 'width' | 'height' | 'screen' | 'original'
+
+    this._bookmarks    = [];         // current comic's bookmarks, sorted by page
+    this._nextComic    = null;       // next volume of the series, offered on the last slot
+    this._outline      = [];         // [{ title, page, depth }] — PDF outline, flattened
+    this._chapter      = -1;         // index into _outline of the current chapter
 
     /* Zoom/Pan state (for zoom mode on vertical; paging on horizontal) */
     this._scale         = 1;
@@ -434,6 +1757,15 @@ class Reader {
     this._scrubbing     = false;
 
     this._zoomHintTimer = null;
+    this._sharpenTimer  = null;
+
+    /* Viewport size the layout was built for — rotation & window resize */
+    this._viewSize      = { w: 0, h: 0 };
+    this._spreadShown   = false;     // _isSpread() when the layout was built
+    this._resizeTimer   = null;
+
+    this.autoScroll     = new AutoScroller(this.viewport, (running) => this._applyAutoScrollUI(running));
+    this.autoSpeed      = document.getElementById('autoScrollSpeed');
 
     this._bindUI();
   }
@@ -441,22 +1773,62 @@ class Reader {
   _bindUI() {
     document.getElementById('btnClose').addEventListener('click', () => App.closeReader());
     document.getElementById('btnModeToggle').addEventListener('click', () => this._toggleMode());
-    document.getElementById('btnNextPage').addEventListener('click', () => this._jumpPage(1));
-    document.getElementById('btnPrevPage').addEventListener('click', () => this._jumpPage(-1));
+    document.getElementById('btnDirToggle').addEventListener('click', () => this._toggleDirection());
+    document.getElementById('btnSpreadToggle').addEventListener('click', () => this._cycleSpread());
+    document.getElementById('btnSpreadShift').addEventListener('click', () => this._toggleSpreadShift());
+    document.getElementById('btnFit').addEventListener('click', () => this._cycleFit());
+    document.getElementById('btnWebtoon').addEventListener('click', () => this._toggleWebtoon());
+    document.getElementById('btnCrop').addEventListener('click', () => this._cycleCrop());
+    document.getElementById('btnAutoScroll').addEventListener('click', () => this._toggleAutoScroll());
+    document.getElementById('btnBookmarks').addEventListener('click', () => this._toggleBookmarkPanel());
+    document.getElementById('btnAddBookmark').addEventListener('click', () => this._addBookmark(this.currentPage));
+    document.getElementById('btnCloseBookmarks').addEventListener('click', () => this._closeBookmarkPanel());
+    document.getElementById('btnToc').addEventListener('click', () => this._toggleTocPanel());
+    document.getElementById('btnCloseToc').addEventListener('click', () => this._closeTocPanel());
+    document.getElementById('btnOverview').addEventListener('click', () => this._openOverview());
+    document.getElementById('btnCloseOverview').addEventListener('click', () => this.overview.close());
+    this.nextVolBtn.addEventListener('click', () => {
+      if (this._nextComic) App.switchComic(this._nextComic);
+    });
+
+    // Left/right controls are physical — in RTL the left side moves forward
+    document.getElementById('btnNextPage').addEventListener('click', () => this._jumpPage(this._isRTL() ? -1 : 1));
+    document.getElementById('btnPrevPage').addEventListener('click', () => this._jumpPage(this._isRTL() ? 1 : -1));
 
     // Tap zone navigation (horizontal mode)
-    this.tapZoneL.addEventListener('click', () => { if (this.mode === 'horizontal') this._jumpPage(-1); });
-    this.tapZoneR.addEventListener('click', () => { if (this.mode === 'horizontal') this._jumpPage(1); });
+    this.tapZoneL.addEventListener('click', () => { if (this.mode === 'horizontal') this._jumpPage(this._isRTL() ? 1 : -1); });
+    this.tapZoneR.addEventListener('click', () => { if (this.mode === 'horizontal') this._jumpPage(this._isRTL() ? -1 : 1); });
 
     // Progress scrubber
     const track = document.getElementById('progressTrack');
     track.addEventListener('pointerdown', (e) => this._startScrub(e));
     track.addEventListener('pointermove', (e) => this._moveScrub(e));
     track.addEventListener('pointerup',   (e) => this._endScrub(e));
+
+    // Auto-scroll speed, in CSS px per second
+    this.autoSpeed.value = this.autoScroll.speed;
+    this.autoSpeed.addEventListener('input', () => this.autoScroll.setSpeed(Number(this.autoSpeed.value)));
+
+    // A finger on the page holds auto-scroll; it resumes shortly after letting go
+    this.viewport.addEventListener('pointerdown',   () => this.autoScroll.hold());
+    this.viewport.addEventListener('pointerup',     () => this.autoScroll.release());
+    this.viewport.addEventListener('pointercancel', () => this.autoScroll.release());
+
+    // Vertical progress is kept within the page, so long strip pages resume mid-page
+    this.viewport.addEventListener('scroll', () => {
+      if (this.isOpen && this.mode === 'vertical' && this.virtualScroll) this._queueSave();
+    }, { passive: true });
+
+    // Rotation and window resizes both land here; settle before re-fitting
+    new ResizeObserver(() => {
+      clearTimeout(this._resizeTimer);
+      this._resizeTimer = setTimeout(() => this._onViewportResize(), 150);
+    }).observe(this.viewport);
   }
 
   async open(comic) {
-    this.comic = comic;
+    this.comic  = comic;
+    this.isOpen = true;
 
     // Show reader
     this.el.classList.remove('hidden');
@@ -464,7 +1836,7 @@ class Reader {
     setTimeout(() => this.el.classList.remove('entering'), 500);
 
     this.loader.classList.remove('hidden');
-    this.loaderText.textContent = 'Loading PDF…';
+    this.loaderText.textContent = 'Loading comic…';
 
     this._showUI();
 
@@ -473,21 +1845,48 @@ class Reader {
       const blob = await DB.getFile(comic.id);
       if (!blob) throw new Error('File not found');
 
-      // Load saved mode preference
+      // Load saved mode, direction & spread preference
       const prog = await DB.getProgress(comic.id);
       if (prog?.mode) this.mode = prog.mode;
-
-      // Init renderer
+      this.direction   = prog?.direction || 'ltr';
+      this.layout      = prog?.layout || 'single';
+      this.coverAlone  = prog?.coverAlone ?? true;
+      this.spreadShift = prog?.spreadShift ?? false;
+      this.fit         = prog?.fit || null;
+      this.webtoon     = prog?.webtoon ?? false;
+      this.crop        = prog?.crop || 0;
+      this._pageOffset = 0;
+      this._pageSizes  = null;          // read in _initLayout, from DB when cached
+      this.currentPage = 1;
+      this.currentSlot = 1;
+      this._nextComic  = App.library.nextInSeries(comic);
+
+      this._bookmarks  = await DB.getBookmarks(comic.id);
+      this._closePanels();
+      this._setOutline([]);
+
+      // Init renderer for this comic's format
       if (this.renderer) this.renderer.destroy();
-      this.renderer = new PdfRenderer();
-      pdfjsLib.GlobalWorkerOptions.workerSrc =
-        'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+      this.renderer = PageSource.create(comic.format);
 
       this.loaderText.textContent = 'Parsing pages…';
       this.totalPages = await this.renderer.load(blob);
+      if (comic.pages !== this.totalPages) {
+        comic.pages = this.totalPages;   // comics imported before page counts were kept
+        DB.saveComic(comic);
+      }
+
+      // Outline resolves in the background — big ones take a while
+      this.renderer.getOutline()
+        .then(items => { if (this.comic === comic) this._setOutline(items); })
+        .catch(err => console.warn('Outline unavailable', err));
+
+      // Every page's size up front — slots are laid out exactly from these
+      this.loaderText.textContent = 'Measuring pages…';
+      await this._getPageSizes();
 
       this.loaderText.textContent = 'Rendering…';
-      this._initLayout();
+      await this._initLayout();
 
       this.titleEl.textContent = comic.title;
       this.totalLabel.textContent = this.totalPages;
@@ -502,11 +1901,12 @@ class Reader {
       // Hide loader
       this.loader.classList.add('hidden');
 
-      // Scroll to saved page after brief delay
-      if (startPage > 1) {
-        setTimeout(() => {
-          this.virtualScroll?.scrollToPage(startPage);
-        }, 300);
+      // Slots are sized exactly, so the saved page can be seated straight away
+      if (this.mode === 'vertical') {
+        const offset = startPage === prog?.currentPage ? prog.offset : null;
+        this.virtualScroll.restoreAnchor({ page: startPage, offset });
+      } else if (startPage > 1) {
+        this._goToPage(startPage);
       }
 
       this._initGestures();
@@ -515,18 +1915,28 @@ class Reader {
     } catch (err) {
       console.error('Reader open error:', err);
       this.loader.classList.add('hidden');
-      Toast.show('Failed to open comic');
+      Toast.show(comic.offloaded ? 'This comic is offloaded — re-attach it in the library' : 'Failed to open comic');
       App.closeReader();
     }
   }
 
-  _initLayout() {
+  async _initLayout() {
+    // Page grouping — spreads need every page's size for wide-page detection
+    const sizes  = await this._getPageSizes();
+    const groups = this._isSpread()
+      ? buildSpreads(sizes, { coverAlone: this.coverAlone, shift: this.spreadShift })
+      : singlePages(this.totalPages);
+
     // Clear container
+    if (this.tiles) this.tiles.clear();
     this.container.innerHTML = '';
     if (this.virtualScroll) this.virtualScroll.destroy();
 
     // Set container class
-    this.container.className = `pages-container mode-${this.mode}`;
+    this.container.className = `pages-container mode-${this.mode} dir-${this.direction}`;
+    this.container.classList.toggle('webtoon', this._isWebtoon());
+    this._viewSize    = { w: this.viewport.clientWidth, h: this.viewport.clientHeight };
+    this._spreadShown = this._isSpread();
 
     // Reset transform
     this._scale      = 1;
@@ -539,10 +1949,15 @@ class Reader {
       this.renderer,
       this.container,
       this.viewport,
-      this.totalPages,
+      groups,
       this.mode,
-      (page) => this._onPageChanged(page)
+      this._fitMode(),
+      sizes,
+      this._isWebtoon() ? { crop: this.crop } : null,
+      (page, slot) => this._onPageChanged(page, slot)
     );
+    this.currentSlot = this.virtualScroll.slotOf(this.currentPage);
+    this.tiles = new TileLayer(this.renderer, this.container, this.viewport);
 
     // Tap zones: only show in horizontal mode
     if (this.mode === 'horizontal') {
@@ -556,6 +1971,129 @@ class Reader {
     // Mode toggle icons
     document.getElementById('iconVertical').classList.toggle('hidden',  this.mode === 'vertical');
     document.getElementById('iconHorizontal').classList.toggle('hidden', this.mode === 'horizontal');
+
+    this._applyDirectionUI();
+    this._applySpreadUI();
+    this._applyFitUI();
+    this._applyWebtoonUI();
+    this._renderChapterTicks();
+  }
+
+  /* Vertical strips read best at full width; pages fit the screen */
+  _fitMode() {
+    if (this._isWebtoon()) return 'width';
+    return this.fit || (this.mode === 'vertical' ? 'width' : 'screen');
+  }
+
+  _isWebtoon() {
+    return this.mode === 'vertical' && this.webtoon;
+  }
+
+  _applyWebtoonUI() {
+    const webtoon = this._isWebtoon();
+    document.getElementById('btnWebtoon').classList.toggle('hidden', this.mode !== 'vertical');
+    document.getElementById('btnWebtoon').classList.toggle('active', webtoon);
+    document.getElementById('btnCrop').classList.toggle('hidden', !webtoon);
+    document.getElementById('btnCrop').classList.toggle('active', this.crop > 0);
+    document.getElementById('btnFit').classList.toggle('hidden', webtoon);
+    document.getElementById('autoScrollControls').classList.toggle('hidden', !webtoon);
+    if (!webtoon) this.autoScroll.stop();
+  }
+
+  _applyAutoScrollUI(running) {
+    document.getElementById('iconAutoPlay').classList.toggle('hidden', running);
+    document.getElementById('iconAutoPause').classList.toggle('hidden', !running);
+    document.getElementById('btnAutoScroll').classList.toggle('active', running);
+  }
+
+  _toggleAutoScroll() {
+    this.autoScroll.toggle();
+    if (this.autoScroll.running) this._scheduleUIHide(1500);
+  }
+
+  _applyFitUI() {
+    const fit = this._fitMode();
+    for (const f of FIT_MODES) {
+      document.getElementById(`iconFit-${f}`).classList.toggle('hidden', f !== fit);
+    }
+  }
+
+  _isSpread() {
+    if (this.mode !== 'horizontal') return false;
+    return this.layout === 'spread' || (this.layout === 'auto' && this._isLandscape());
+  }
+
+  _isLandscape() {
+    return this.viewport.clientWidth > this.viewport.clientHeight;
+  }
+
+  /* Every page's intrinsic size — measured on first open, then cached in DB */
+  async _getPageSizes() {
+    if (this._pageSizes) return this._pageSizes;
+
+    const cached = await DB.getPageSizes(this.comic.id);
+    if (cached?.length === this.totalPages) {
+      this._pageSizes = cached;
+      return cached;
+    }
+
+    const sizes = [];
+    let failed  = 0;
+    for (let p = 1; p <= this.totalPages; p++) {
+      try {
+        sizes.push(await this.renderer.getPageSize(p));
+      } catch (err) {
+        console.warn(`Page ${p} not measured:`, err);
+        sizes.push(null);
+        failed++;
+      }
+      if (p % 20 === 0) this.loaderText.textContent = `Measuring pages… ${p}/${this.totalPages}`;
+    }
+    if (failed === this.totalPages) throw new Error('No readable pages');
+
+    // A broken page borrows its neighbour's size and shows its error when drawn
+    let near = sizes.find(Boolean);
+    for (let i = 0; i < sizes.length; i++) {
+      if (sizes[i]) near = sizes[i];
+      else sizes[i] = { ...near };
+    }
+    this._pageSizes = sizes;
+    // Stand-ins aren't cached, so the next open measures those pages again
+    if (!failed) {
+      DB.savePageSizes(this.comic.id, sizes)
+        .catch(err => console.warn('Page sizes not cached', err));
+    }
+    return sizes;
+  }
+
+  _applySpreadUI() {
+    const horizontal = this.mode === 'horizontal';
+    document.getElementById('btnSpreadToggle').classList.toggle('hidden', !horizontal);
+    document.getElementById('btnSpreadToggle').classList.toggle('active', this.layout !== 'single');
+    document.getElementById('btnSpreadShift').classList.toggle('hidden', !this._isSpread());
+    document.getElementById('btnSpreadShift').classList.toggle('active', this.spreadShift);
+  }
+
+  /* "12" or "12–13" for the current slot */
+  _slotLabel() {
+    const pages = this.virtualScroll.groups[this.currentSlot - 1] || [this.currentPage];
+    return pages.join('–');
+  }
+
+  _isRTL() {
+    return this.mode === 'horizontal' && this.direction === 'rtl';
+  }
+
+  /* Direction toggle, nav button labels & scrubber orientation */
+  _applyDirectionUI() {
+    const rtl = this._isRTL();
+    document.getElementById('btnDirToggle').classList.toggle('hidden', this.mode !== 'horizontal');
+    document.getElementById('iconLTR').classList.toggle('hidden', this.direction === 'rtl');
+    document.getElementById('iconRTL').classList.toggle('hidden', this.direction === 'ltr');
+    document.getElementById('btnPrevPage').setAttribute('aria-label', rtl ? 'Next page' : 'Previous page');
+    document.getElementById('btnNextPage').setAttribute('aria-label', rtl ? 'Previous page' : 'Next page');
+    document.getElementById('progressTrack').classList.toggle('rtl', rtl);
+    this.bottomBar.querySelector('.progress-labels').classList.toggle('rtl', rtl);
   }
 
   _initGestures() {
@@ -565,6 +2103,11 @@ class Reader {
       getCurrentScale: () => this._scale,
 
       onTap: (x, y) => {
+        // A tap on the page dismisses an open panel first
+        if (this._panelOpen()) {
+          this._closePanels();
+          return;
+        }
         // Toggle UI
         this._toggleUI();
         this._scheduleUIHide();
@@ -586,14 +2129,21 @@ class Reader {
             this._translateY += dy;
             this._clampPan();
             this._applyTransform(false);
+            this._scheduleSharpen();
           } else {
             // Natural scroll — let the container scroll
             this.viewport.scrollTop -= dy;
+            // Pages wider than the screen (fit height / original) scroll sideways
+            this._scrollSlot(dx, 0);
           }
         } else {
+          // Tall pages (fit width / original) scroll within their slot,
+          // wide ones use up their sideways overflow before paging
+          const restX = this._scale > 1.05 ? dx : this._scrollSlot(dx, dy);
           // Horizontal paging — rubber-band drag
-          this._translateX += dx;
+          this._translateX += restX;
           this._applyTransform(false);
+          if (this._scale > 1.05) this._scheduleSharpen();
         }
       },
 
@@ -616,34 +2166,85 @@ class Reader {
       onPinchEnd: () => {
         if (this._scale < 1.05) {
           this._zoomTo(1, 0, 0, true);
+        } else {
+          this._scheduleSharpen();
         }
         this._showZoomHint();
       },
 
-      onLongPress: () => {},
+      onLongPress: (x, y) => this._addBookmark(this._pageAtPoint(x, y)),
     });
   }
 
-  _onPageChanged(page) {
-    this.currentPage = page;
-    this.currentNum.textContent = page;
-    this.pageLabel.textContent  = `${page} / ${this.totalPages}`;
+  /* Scroll the current slot's overflow; returns the dx it couldn't absorb */
+  _scrollSlot(dx, dy) {
+    const slot = this.virtualScroll.slotElement(this.currentSlot);
+    // Strip overflow is cropped margin, not page to pan to
+    if (!slot || this._isWebtoon()) return dx;
+    slot.scrollTop -= dy;
+    const before = slot.scrollLeft;
+    slot.scrollLeft -= dx;
+    return dx - (before - slot.scrollLeft);
+  }
 
-    const pct = (page - 1) / Math.max(this.totalPages - 1, 1);
-    this.pageFill.style.width  = (pct * 100) + '%';
-    this.pageThumb.style.left  = (pct * 100) + '%';
+  _onPageChanged(page, slot) {
+    this.currentPage = page;
+    this.currentSlot = slot;
+    this._updatePageLabels();
+    this._queueSave();
+  }
 
-    // Save progress (throttle)
-    clearTimeout(this._saveTimer);
+  /* Save progress at most every 1.5 s — also while scrolling never pauses (auto-scroll) */
+  _queueSave() {
+    if (this._saveTimer) return;
     this._saveTimer = setTimeout(() => {
-      DB.saveProgress(this.comic.id, {
-        currentPage: page,
-        totalPages:  this.totalPages,
-        mode:        this.mode,
-      });
+      this._saveTimer = null;
+      if (!this.isOpen || !this.virtualScroll) return;
+      this._pageOffset = this.virtualScroll.anchor().offset;
+      DB.saveProgress(this.comic.id, this._progressData());
     }, 1500);
   }
 
+  _updatePageLabels() {
+    this.currentNum.textContent = this._slotLabel();
+    this.pageLabel.textContent  = `${this._slotLabel()} / ${this.totalPages}`;
+    this._updateScrubber();
+    this._updateBookmarkButton();
+    this._updateNextVolume();
+    this._updateChapter();
+  }
+
+  _updateNextVolume() {
+    const atEnd = this.currentSlot === this.virtualScroll.slotCount;
+    const show  = atEnd && !!this._nextComic;
+    this.nextVolBtn.classList.toggle('hidden', !show);
+    if (show) document.getElementById('nextVolumeTitle').textContent = this._nextComic.title;
+  }
+
+  _updateScrubber() {
+    const pct = (this.currentSlot - 1) / Math.max(this.virtualScroll.slotCount - 1, 1);
+    // RTL fill grows from the right edge (see .progress-track.rtl)
+    this.pageFill.style.width  = (pct * 100) + '%';
+    this.pageThumb.style.left  = ((this._isRTL() ? 1 - pct : pct) * 100) + '%';
+  }
+
+  _progressData() {
+    return {
+      currentPage: this.currentPage,
+      lastPage:    this.virtualScroll?.groups[this.currentSlot - 1]?.at(-1) ?? this.currentPage,
+      totalPages:  this.totalPages,
+      mode:        this.mode,
+      direction:   this.direction,
+      layout:      this.layout,
+      coverAlone:  this.coverAlone,
+      spreadShift: this.spreadShift,
+      fit:         this.fit,
+      webtoon:     this.webtoon,
+      crop:        this.crop,
+      offset:      this._pageOffset,
+    };
+  }
+
   _applyTransform(animate = false) {
     this.container.style.transition = animate
       ? 'transform 0.32s cubic-bezier(0.16,1,0.3,1)'
@@ -693,59 +2294,391 @@ class Reader {
 
     this._applyTransform(animate);
     this._showZoomHint();
+
+    if (this._scale <= 1) this.tiles?.clear();
+    else this._scheduleSharpen(animate ? 350 : 150);
+  }
+
+  /* Re-render the visible area at the settled zoom — waits out transitions & momentum */
+  _scheduleSharpen(delay = 150) {
+    clearTimeout(this._sharpenTimer);
+    this._sharpenTimer = setTimeout(() => this.tiles?.update(this._scale), delay);
+  }
+
+  /* translateX that brings a page's slot into view — RTL slots are laid out leftwards */
+  _hPageX(page, vw = this.viewport.clientWidth) {
+    const slot = this.virtualScroll.slotOf(page);
+    return this._isRTL() ? (slot - 1) * vw : -(slot - 1) * vw;
+  }
+
+  _snapHorizontalPage() {
+    // Snap to nearest slot based on current translateX
+    const vw    = this.viewport.clientWidth;
+    const slot  = this.currentSlot;
+    const target = this._hPageX(this.currentPage);
+
+    // Detect swipe direction — positive means dragged towards the next slot
+    const diff    = this._translateX - target;
+    const forward = this._isRTL() ? diff : -diff;
+    let dest   = slot;
+
+    if (forward > vw * 0.2 && slot < this.virtualScroll.slotCount) dest = slot + 1;
+    else if (forward < -vw * 0.2 && slot > 1)                     dest = slot - 1;
+
+    this._jumpToHPage(this.virtualScroll.pageAt(dest), true);
+  }
+
+  _jumpToHPage(page, animate = true) {
+    page = clamp(page, 1, this.totalPages);
+    this._translateX = this._hPageX(page);
+    this._applyTransform(animate);
+    // Refocuses rendering on the destination and reports the page change
+    this.virtualScroll.setCurrentSlot(this.virtualScroll.slotOf(page));
+  }
+
+  _goToPage(page, animate = false) {
+    if (this.mode === 'vertical') {
+      this.virtualScroll.scrollToPage(page, animate);
+    } else {
+      this._jumpToHPage(page, animate);
+    }
+  }
+
+  /**
+   * Viewport resized (rotation, window resize, split screen). Slots re-fit
+   * in place and the current page stays put; when zoomed, the spot being
+   * looked at keeps its relative position. Auto layout may need a rebuild.
+   */
+  async _onViewportResize() {
+    if (!this.virtualScroll || !this.loader.classList.contains('hidden')) return;
+    if (!this.isOpen) return;
+
+    if (this._isSpread() !== this._spreadShown) {
+      await this._relayout();
+      return;
+    }
+
+    const { w: oldW, h: oldH } = this._viewSize;
+    const horizontal = this.mode === 'horizontal';
+    // Zoom pan, separated from the horizontal page offset
+    const panX = this._translateX - (horizontal ? this._hPageX(this.currentPage, oldW) : 0);
+
+    if (!this.virtualScroll.resize()) return;
+    const w = this.viewport.clientWidth;
+    const h = this.viewport.clientHeight;
+    this._viewSize = { w, h };
+
+    this._translateX  = panX * w / oldW + (horizontal ? this._hPageX(this.currentPage) : 0);
+    this._translateY *= h / oldH;
+    if (!horizontal) this._clampPan();
+    this._applyTransform(false);
+
+    this.tiles?.clear();
+    if (this._scale > 1.05) this._scheduleSharpen();
   }
 
-  _snapHorizontalPage() {
-    // Snap to nearest page based on current translateX
-    const vw    = this.viewport.clientWidth;
-    const page  = this.currentPage;
-    const target = -(page - 1) * vw;
+  /* Step by slot — a whole spread at a time in spread layout */
+  _jumpPage(dir) {
+    this._goToPage(this.virtualScroll.pageAt(this.currentSlot + dir), true);
+  }
+
+  /* Rebuild slots (mode/direction/spread change) and re-seat the current page */
+  async _relayout() {
+    const anchor = this.virtualScroll.anchor();
+
+    await this._initLayout();
+    this._initGestures();
+    this._updatePageLabels();
+
+    // Same spot in the same page, even if slot heights changed
+    if (this.mode === 'vertical') this.virtualScroll.restoreAnchor(anchor);
+    else this._goToPage(anchor.page);
+  }
+
+  async _toggleMode() {
+    this.mode = this.mode === 'vertical' ? 'horizontal' : 'vertical';
+    await this._relayout();
+
+    Toast.show(this.mode === 'vertical' ? 'Vertical scroll mode' : 'Horizontal page mode');
+  }
+
+  async _toggleDirection() {
+    this.direction = this.direction === 'ltr' ? 'rtl' : 'ltr';
+    // Slot order flips, so rebuild the layout and re-seat the current page
+    await this._relayout();
+
+    DB.saveProgress(this.comic.id, this._progressData());
+    Toast.show(this.direction === 'rtl' ? 'Right-to-left (manga)' : 'Left-to-right');
+  }
+
+  /* Single → spread (cover alone) → spread (cover paired) → spread in landscape → single */
+  async _cycleSpread() {
+    if (this.layout === 'single') {
+      this.layout     = 'spread';
+      this.coverAlone = true;
+    } else if (this.layout === 'spread' && this.coverAlone) {
+      this.coverAlone = false;
+    } else if (this.layout === 'spread') {
+      this.layout     = 'auto';
+      this.coverAlone = true;
+    } else {
+      this.layout = 'single';
+    }
+
+    await this._relayout();
+
+    DB.saveProgress(this.comic.id, this._progressData());
+    Toast.show(this.layout === 'single' ? 'Single page'
+      : this.layout === 'auto' ? 'Two-page spread in landscape'
+      : this.coverAlone ? 'Two-page spread · cover alone' : 'Two-page spread');
+  }
+
+  async _cycleFit() {
+    const i = FIT_MODES.indexOf(this._fitMode());
+    this.fit = FIT_MODES[(i + 1) % FIT_MODES.length];
+    await this._relayout();
+
+    DB.saveProgress(this.comic.id, this._progressData());
+    Toast.show(FIT_LABELS[this.fit]);
+  }
+
+  async _toggleWebtoon() {
+    this.webtoon = !this.webtoon;
+    await this._relayout();
+
+    DB.saveProgress(this.comic.id, this._progressData());
+    Toast.show(this.webtoon ? 'Webtoon strip' : 'Vertical pages');
+  }
+
+  async _cycleCrop() {
+    const i = WEBTOON_CROPS.indexOf(this.crop);
+    this.crop = WEBTOON_CROPS[(i + 1) % WEBTOON_CROPS.length];
+    await this._relayout();
+
+    DB.saveProgress(this.comic.id, this._progressData());
+    Toast.show(this.crop ? `Side margins cropped ${Math.round(this.crop * 100)}%` : 'Side margins shown');
+  }
+
+  async _toggleSpreadShift() {
+    this.spreadShift = !this.spreadShift;
+    await this._relayout();
+
+    DB.saveProgress(this.comic.id, this._progressData());
+    Toast.show(this.spreadShift ? 'Spreads shifted by one page' : 'Spread pairing reset');
+  }
+
+  /* ── Bookmarks ── */
+
+  /* Page under a screen point (spreads show two); falls back to current */
+  _pageAtPoint(x, y) {
+    const el = document.elementFromPoint(x, y);
+    const canvas = el?.closest?.('canvas.page-canvas');
+    return canvas ? parseInt(canvas.dataset.page) : this.currentPage;
+  }
+
+  async _addBookmark(page) {
+    if (this._bookmarks.some(b => b.page === page)) {
+      Toast.show(`Page ${page} is already bookmarked`);
+      return;
+    }
+
+    let thumbDataUrl = '';
+    try {
+      const thumb = await this.renderer.renderThumbnail(page, 96);
+      if (thumb) thumbDataUrl = thumb.toDataURL('image/jpeg', 0.6);
+    } catch (err) {
+      console.warn('Bookmark thumbnail failed', err);
+    }
+
+    const bookmark = {
+      id:        uid(),
+      comicId:   this.comic.id,
+      page,
+      note:      '',
+      createdAt: Date.now(),
+      thumbDataUrl,
+    };
+    await DB.saveBookmark(bookmark);
+    this._bookmarks = await DB.getBookmarks(this.comic.id);
+
+    navigator.vibrate?.(15);
+    this._renderBookmarks();
+    this._updateBookmarkButton();
+    Toast.show(`Bookmarked page ${page}`);
+  }
+
+  async _deleteBookmark(bookmark) {
+    await DB.deleteBookmark(bookmark.id);
+    this._bookmarks = this._bookmarks.filter(b => b.id !== bookmark.id);
+    this._renderBookmarks();
+    this._updateBookmarkButton();
+  }
+
+  _updateBookmarkButton() {
+    const pages = this.virtualScroll?.groups[this.currentSlot - 1] || [this.currentPage];
+    const marked = this._bookmarks.some(b => pages.includes(b.page));
+    document.getElementById('btnBookmarks').classList.toggle('active', marked);
+  }
+
+  _toggleBookmarkPanel() {
+    if (this.bookmarkPanel.classList.contains('hidden')) {
+      this._closeTocPanel();
+      this._renderBookmarks();
+      this.bookmarkPanel.classList.remove('hidden');
+      clearTimeout(this._uiTimer);
+    } else {
+      this._closeBookmarkPanel();
+    }
+  }
+
+  _closeBookmarkPanel() {
+    this.bookmarkPanel.classList.add('hidden');
+  }
+
+  _renderBookmarks() {
+    this.bookmarkList.innerHTML = '';
+    document.getElementById('bookmarkEmpty').classList.toggle('hidden', this._bookmarks.length > 0);
+
+    for (const b of this._bookmarks) {
+      const item = document.createElement('div');
+      item.className = 'bookmark-item';
+      item.classList.toggle('current', b.page === this.currentPage);
+      item.innerHTML = `
+        <img class="bookmark-thumb" alt="">
+        <div class="bookmark-info">
+          <span class="bookmark-page"></span>
+          <input class="bookmark-note" type="text" placeholder="Add a note…" maxlength="120">
+          <span class="bookmark-date"></span>
+        </div>
+        <button class="bookmark-delete" aria-label="Delete bookmark">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+          </svg>
+        </button>
+      `;
+
+      const img = item.querySelector('.bookmark-thumb');
+      if (b.thumbDataUrl) img.src = b.thumbDataUrl;
+      item.querySelector('.bookmark-page').textContent = `Page ${b.page}`;
+      item.querySelector('.bookmark-date').textContent = new Date(b.createdAt).toLocaleDateString();
+
+      const note = item.querySelector('.bookmark-note');
+      note.value = b.note || '';
+      note.addEventListener('change', () => {
+        b.note = note.value.trim();
+        DB.saveBookmark(b);
+      });
+
+      item.querySelector('.bookmark-delete').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._deleteBookmark(b);
+      });
+
+      item.addEventListener('click', (e) => {
+        if (e.target === note) return;
+        this._closeBookmarkPanel();
+        this._goToPage(b.page, true);
+      });
+
+      this.bookmarkList.appendChild(item);
+    }
+  }
 
-    // Detect swipe direction
-    const diff = this._translateX - target;
-    let dest   = page;
+  /* ── Table of contents ── */
+  _setOutline(items) {
+    this._outline = items;
+    this._chapter = -1;
+    document.getElementById('btnToc').classList.toggle('hidden', items.length === 0);
+    if (!items.length) this._closeTocPanel();
+    if (this.virtualScroll) {
+      this._renderChapterTicks();
+      this._updateChapter();
+    }
+  }
 
-    if (diff < -vw * 0.2 && page < this.totalPages) dest = page + 1;
-    else if (diff > vw * 0.2 && page > 1)           dest = page - 1;
+  /* Last outline entry starting at or before the current slot's pages */
+  _chapterIndex() {
+    const last = this.virtualScroll.groups[this.currentSlot - 1]?.at(-1) ?? this.currentPage;
+    let best = -1;
+    this._outline.forEach((item, i) => {
+      if (item.page <= last && (best < 0 || item.page >= this._outline[best].page)) best = i;
+    });
+    return best;
+  }
 
-    this._jumpToHPage(dest, true);
+  _updateChapter() {
+    const idx = this._chapterIndex();
+    if (idx === this._chapter) return;
+    this._chapter = idx;
+    this.tocList.querySelectorAll('.toc-item').forEach((el, i) => {
+      el.classList.toggle('current', i === idx);
+    });
   }
 
-  _jumpToHPage(page, animate = true) {
-    page = clamp(page, 1, this.totalPages);
-    const vw    = this.viewport.clientWidth;
-    this._translateX = -(page - 1) * vw;
-    this._applyTransform(animate);
-    // Page change will fire from IntersectionObserver
+  /* Top-level chapter starts as ticks on the scrubber, mirrored in RTL */
+  _renderChapterTicks() {
+    this.progressTrack.querySelectorAll('.progress-tick').forEach(el => el.remove());
+    const slots = this.virtualScroll.slotCount;
+
+    for (const item of this._outline) {
+      if (item.depth > 0 || item.page === 1) continue;
+      const pct  = (this.virtualScroll.slotOf(item.page) - 1) / Math.max(slots - 1, 1);
+      const tick = document.createElement('div');
+      tick.className  = 'progress-tick';
+      tick.style.left = ((this._isRTL() ? 1 - pct : pct) * 100) + '%';
+      this.progressTrack.insertBefore(tick, this.pageThumb);
+    }
   }
 
-  _jumpPage(dir) {
-    if (this.mode === 'vertical') {
-      const target = clamp(this.currentPage + dir, 1, this.totalPages);
-      this.virtualScroll.scrollToPage(target, true);
+  _toggleTocPanel() {
+    if (this.tocPanel.classList.contains('hidden')) {
+      this._closeBookmarkPanel();
+      this._renderToc();
+      this.tocPanel.classList.remove('hidden');
+      clearTimeout(this._uiTimer);
+      this.tocList.querySelector('.toc-item.current')?.scrollIntoView({ block: 'center' });
     } else {
-      const target = clamp(this.currentPage + dir, 1, this.totalPages);
-      this._jumpToHPage(target, true);
+      this._closeTocPanel();
     }
   }
 
-  _toggleMode() {
-    this.mode = this.mode === 'vertical' ? 'horizontal' : 'vertical';
-    const savedPage = this.currentPage;
+  _closeTocPanel() {
+    this.tocPanel.classList.add('hidden');
+  }
 
-    this._initLayout();
-    this._initGestures();
+  _renderToc() {
+    this.tocList.innerHTML = '';
+    this._outline.forEach((item, i) => {
+      const row = document.createElement('button');
+      row.className = 'toc-item';
+      row.classList.toggle('current', i === this._chapter);
+      row.style.paddingLeft = `calc(var(--space-sm) + ${item.depth * 16}px)`;
+      row.innerHTML = '<span class="toc-title"></span><span class="toc-page"></span>';
+      row.querySelector('.toc-title').textContent = item.title;
+      row.querySelector('.toc-page').textContent  = item.page;
+      row.addEventListener('click', () => {
+        this._closeTocPanel();
+        this._goToPage(item.page, true);
+      });
+      this.tocList.appendChild(row);
+    });
+  }
 
-    // Restore to current page
-    setTimeout(() => {
-      if (this.mode === 'vertical') {
-        this.virtualScroll.scrollToPage(savedPage);
-      } else {
-        this._jumpToHPage(savedPage, false);
-      }
-    }, 100);
+  /* ── Page overview ── */
+  _openOverview() {
+    this._closePanels();
+    clearTimeout(this._uiTimer);
+    this.overview.open(this.renderer, this.comic.id, this.totalPages, this.currentPage);
+  }
 
-    Toast.show(this.mode === 'vertical' ? 'Vertical scroll mode' : 'Horizontal page mode');
+  _panelOpen() {
+    return !this.bookmarkPanel.classList.contains('hidden')
+        || !this.tocPanel.classList.contains('hidden');
+  }
+
+  _closePanels() {
+    this._closeBookmarkPanel();
+    this._closeTocPanel();
   }
 
   /* ── UI visibility ── */
@@ -804,44 +2737,410 @@ class Reader {
   _doScrub(e) {
     const track  = document.getElementById('progressTrack');
     const rect   = track.getBoundingClientRect();
-    const pct    = clamp((e.clientX - rect.left) / rect.width, 0, 1);
-    const page   = Math.round(pct * (this.totalPages - 1)) + 1;
+    const x      = clamp((e.clientX - rect.left) / rect.width, 0, 1);
+    const pct    = this._isRTL() ? 1 - x : x;
+    const slot   = Math.round(pct * (this.virtualScroll.slotCount - 1)) + 1;
 
-    if (page !== this.currentPage) {
-      if (this.mode === 'vertical') {
-        this.virtualScroll.scrollToPage(page);
-      } else {
-        this._jumpToHPage(page, false);
-      }
+    if (slot !== this.currentSlot) {
+      this._goToPage(this.virtualScroll.pageAt(slot));
     }
   }
 
   close() {
-    if (this.virtualScroll) this.virtualScroll.destroy();
-    if (this.renderer)      this.renderer.destroy();
-    if (this.gestures)      this.gestures.destroy();
-
-    this.container.innerHTML = '';
+    this.isOpen = false;
+    this.unload();
     this.el.classList.add('exiting');
     setTimeout(() => {
       this.el.classList.remove('exiting');
       this.el.classList.add('hidden');
     }, 400);
+  }
 
+  /* Tear down the current comic without leaving the reader (next volume) */
+  unload() {
+    clearTimeout(this._sharpenTimer);
+    clearTimeout(this._resizeTimer);
+    this.autoScroll.stop();
     clearTimeout(this._uiTimer);
     clearTimeout(this._saveTimer);
+    this._saveTimer = null;
 
-    // Save final progress
-    if (this.comic) {
-      DB.saveProgress(this.comic.id, {
-        currentPage: this.currentPage,
-        totalPages:  this.totalPages,
-        mode:        this.mode,
-      });
-    }
+    // Final position, read before the slots it's measured against go away
+    if (this.virtualScroll) this._pageOffset = this.virtualScroll.anchor().offset;
+    const progress = this.comic ? this._progressData() : null;
+
+    this._closePanels();
+    this.overview.close();
+    this.nextVolBtn.classList.add('hidden');
+    if (this.tiles)         this.tiles.clear();
+    if (this.virtualScroll) this.virtualScroll.destroy();
+    if (this.renderer)      this.renderer.destroy();
+    if (this.gestures)      this.gestures.destroy();
+    // Emptying the container clamps scrollTop and fires a scroll nothing may save from
+    this.virtualScroll = null;
+
+    this.container.innerHTML = '';
+
+    if (progress) return DB.saveProgress(this.comic.id, progress);
   }
 }
 
+/* ═══════════════════════════════════════════════
+   BACKUP
+   Whole-library export/import as a single ZIP:
+     manifest.json, comics.json, progress.json,
+     bookmarks.json, collections.json,
+     files/<comicId> (optional)
+═══════════════════════════════════════════════ */
+const Backup = {
+  FORMAT:  'inkflow-backup',
+  VERSION: 1,
+
+  async export({ includeFiles = true } = {}) {
+    const comics    = await DB.getAllComics();
+    const progress  = await DB.getAllProgress();
+    const bookmarks = await DB.getAllBookmarks();
+    const collections = await DB.getCollections();
+
+    const files = [];
+    if (includeFiles) {
+      for (const comic of comics) {
+        const blob = await DB.getFile(comic.id);
+        if (blob) files.push({ name: `files/${comic.id}`, data: blob });
+      }
+    }
+
+    const manifest = {
+      format:        this.FORMAT,
+      version:       this.VERSION,
+      createdAt:     Date.now(),
+      includesFiles: includeFiles,
+      counts: {
+        comics:    comics.length,
+        progress:  progress.length,
+        bookmarks: bookmarks.length,
+        collections: collections.length,
+        files:     files.length,
+      },
+    };
+
+    return Zip.create([
+      { name: 'manifest.json',  data: JSON.stringify(manifest, null, 2) },
+      { name: 'comics.json',    data: JSON.stringify(comics) },
+      { name: 'progress.json',  data: JSON.stringify(progress) },
+      { name: 'bookmarks.json', data: JSON.stringify(bookmarks) },
+      { name: 'collections.json', data: JSON.stringify(collections) },
+      ...files,
+    ]);
+  },
+
+  /**
+   * Merge a backup into the library. Records whose id already exists are
+   * kept as they are; progress takes whichever side was read last.
+   * Returns { added, skipped }.
+   */
+  async import(blob) {
+    let zip;
+    try {
+      zip = await Zip.open(blob);
+    } catch (_) {
+      throw new Error('Not an InkFlow backup');
+    }
+    const byName = new Map(zip.entries.map(e => [e.name, e]));
+
+    const readJSON = async (name, fallback) => {
+      const entry = byName.get(name);
+      if (!entry) return fallback;
+      return JSON.parse(await (await zip.read(entry)).text());
+    };
+
+    const manifest = await readJSON('manifest.json', null);
+    if (manifest?.format !== this.FORMAT) throw new Error('Not an InkFlow backup');
+    if (manifest.version > this.VERSION) throw new Error('Backup is from a newer InkFlow');
+
+    const comics    = await readJSON('comics.json', []);
+    const progress  = await readJSON('progress.json', []);
+    const bookmarks = await readJSON('bookmarks.json', []);
+    const collections = await readJSON('collections.json', []);   // absent before collections
+
+    const known = new Set((await DB.getAllComics()).map(c => c.id));
+    let added = 0, skipped = 0;
+
+    for (const comic of comics) {
+      const fileEntry = byName.get(`files/${comic.id}`);
+
+      if (known.has(comic.id)) {
+        // Fill in a blob that an earlier metadata-only restore left out
+        if (fileEntry && !(await DB.getFile(comic.id))) {
+          await DB.saveFile(comic.id, await zip.read(fileEntry));
+          delete comic.offloaded;
+          await DB.saveComic(comic);
+        }
+        skipped++;
+        continue;
+      }
+
+      // Metadata-only backups bring comics back offloaded, ready to re-attach
+      if (fileEntry) {
+        await DB.saveFile(comic.id, await zip.read(fileEntry));
+        delete comic.offloaded;
+      } else {
+        comic.offloaded = true;
+      }
+      await DB.saveComic(comic);
+      known.add(comic.id);
+      added++;
+    }
+
+    const localProgress = new Map((await DB.getAllProgress()).map(p => [p.id, p]));
+    for (const rec of progress) {
+      if (!known.has(rec.id)) continue;
+      const local = localProgress.get(rec.id);
+      if (!local || (rec.lastRead || 0) > (local.lastRead || 0)) {
+        await DB.restoreProgress(rec);
+      }
+    }
+
+    const localMarks = new Set((await DB.getAllBookmarks()).map(b => b.id));
+    for (const b of bookmarks) {
+      if (known.has(b.comicId) && !localMarks.has(b.id)) await DB.saveBookmark(b);
+    }
+
+    const localCollections = new Set((await DB.getCollections()).map(c => c.id));
+    for (const col of collections) {
+      if (!localCollections.has(col.id)) await DB.saveCollection(col);
+    }
+
+    return { added, skipped };
+  }
+};
+
+/* ═══════════════════════════════════════════════
+   SERIES
+   Series / volume / chapter parsed from titles,
+   overridable per comic (comic.series/volume/chapter)
+═══════════════════════════════════════════════ */
+const Series = {
+  _volRe: /(?:^|\s)(?:v|vol|volume|tome)\.?\s*(\d+(?:\.\d+)?)(?=\s|$)/i,
+  _chRe:  /(?:^|\s)(?:c|ch|chap|chapter|#)\.?\s*(\d+(?:\.\d+)?)(?=\s|$)/i,
+
+  /** "One Piece v12 c105 (Digital)" → { series: 'One Piece', volume: 12, chapter: 105 } */
+  parse(title) {
+    // Drop scanlator/format tags: [Group] (Digital) {v2}
+    const clean = title.replace(/\[[^\]]*\]|\([^)]*\)|\{[^}]*\}/g, ' ').replace(/\s+/g, ' ').trim();
+    const vol = clean.match(this._volRe);
+    const ch  = clean.match(this._chRe);
+
+    let volume  = vol ? parseFloat(vol[1]) : null;
+    let chapter = ch  ? parseFloat(ch[1])  : null;
+    let cut     = Math.min(vol ? vol.index : Infinity, ch ? ch.index : Infinity);
+
+    // No marker — a trailing number is the volume ("Berserk 03")
+    if (cut === Infinity) {
+      const tail = clean.match(/\s(\d{1,3})$/);
+      if (tail) { volume = parseInt(tail[1], 10); cut = tail.index; }
+    }
+
+    const series = clean.slice(0, cut).replace(/[\s,:;.-]+$/, '') || clean || title;
+    return { series, volume, chapter };
+  },
+
+  /** Parsed values with any manual overrides applied */
+  infoOf(comic) {
+    const p = this.parse(comic.title);
+    return {
+      series:  comic.series || p.series,
+      volume:  comic.volume  ?? p.volume,
+      chapter: comic.chapter ?? p.chapter,
+    };
+  },
+
+  key(name) {
+    return name.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+  },
+
+  /** Reading order within a series: volume, then chapter, then title */
+  compare(a, b) {
+    const ia = Series.infoOf(a), ib = Series.infoOf(b);
+    const num = (x, y) => (x ?? Infinity) - (y ?? Infinity) || 0;   // unnumbered last
+    return num(ia.volume, ib.volume)
+      || num(ia.chapter, ib.chapter)
+      || naturalCollator.compare(a.title, b.title);
+  },
+
+  label(info) {
+    const parts = [];
+    if (info.volume  != null) parts.push(`Vol. ${info.volume}`);
+    if (info.chapter != null) parts.push(`Ch. ${info.chapter}`);
+    return parts.join(' · ');
+  },
+
+  /** Group comics by series, keeping the order of each group's first member */
+  group(comics) {
+    const groups = new Map();
+    for (const comic of comics) {
+      const name = this.infoOf(comic).series;
+      const key  = this.key(name);
+      if (!groups.has(key)) groups.set(key, { key, name, comics: [] });
+      groups.get(key).comics.push(comic);
+    }
+    for (const g of groups.values()) g.comics.sort(Series.compare);
+    return [...groups.values()];
+  }
+};
+
+/* ═══════════════════════════════════════════════
+   FOLDERS
+   Linked library folders (File System Access API).
+   The directory handle is kept in DB so the folder
+   can be rescanned; comics remember their path in
+   it (comic.source) to spot new/changed/removed files.
+═══════════════════════════════════════════════ */
+const Folders = {
+  supported: 'showDirectoryPicker' in window,
+
+  /* Ask for a folder; re-picking a linked one returns its existing record */
+  async pick() {
+    const handle = await window.showDirectoryPicker({ id: 'inkflow-library', mode: 'read' });
+    for (const folder of await DB.getFolders()) {
+      if (await folder.handle.isSameEntry(handle)) return folder;
+    }
+    const folder = { id: uid(), name: handle.name, handle, addedAt: Date.now(), lastScan: 0 };
+    await DB.saveFolder(folder);
+    return folder;
+  },
+
+  /* 'granted' | 'prompt' | 'denied' — only prompts when `request` (needs a user gesture) */
+  async permission(folder, request = false) {
+    const opts  = { mode: 'read' };
+    let   state = await folder.handle.queryPermission(opts);
+    if (state === 'prompt' && request) state = await folder.handle.requestPermission(opts);
+    return state;
+  },
+
+  /* Every comic file below `handle`: [{ path, dir, file }], dir = parent folder name ('' at the top) */
+  async walk(handle, prefix = '', dir = '') {
+    const found = [];
+    for await (const entry of handle.values()) {
+      if (entry.name.startsWith('.')) continue;
+      const path = prefix + entry.name;
+      if (entry.kind === 'directory') {
+        found.push(...await this.walk(entry, path + '/', entry.name));
+      } else {
+        const file = await entry.getFile();
+        if (PageSource.detectFormat(file)) found.push({ path, dir, file });
+      }
+    }
+    return found;
+  },
+
+  /* Compare a folder's contents with the comics imported from it */
+  async diff(folder, comics) {
+    const known   = new Map(comics
+      .filter(c => c.source?.folderId === folder.id)
+      .map(c => [c.source.path, c]));
+    const added   = [];
+    const changed = [];
+
+    for (const entry of await this.walk(folder.handle)) {
+      const comic = known.get(entry.path);
+      known.delete(entry.path);
+      if (!comic) {
+        added.push(entry);
+      } else if (comic.source.size !== entry.file.size ||
+                 comic.source.lastModified !== entry.file.lastModified) {
+        changed.push({ ...entry, comic });
+      }
+    }
+
+    // Back at their path after being missing (drive reconnected, file restored)
+    const returned = comics.filter(c => c.missing && c.source?.folderId === folder.id && !known.has(c.source.path));
+    return { added, changed, removed: [...known.values()], returned };
+  },
+
+  /**
+   * Record fields a folder layout implies: files in a sub-folder belong to
+   * the series named after it, and bare names ("v01", "Chapter 3") borrow
+   * that name for their title.
+   */
+  describe({ dir, file }) {
+    const meta = {};
+    if (!dir) return meta;
+
+    const title = file.name.replace(/\.(pdf|cbz)$/i, '').replace(/[-_]/g, ' ').trim();
+    const bare  = /^(?:v|vol|volume|tome|c|ch|chap|chapter|#)?\.?\s*\d/i.test(title);
+    if (bare && !Series.key(title).includes(Series.key(dir))) meta.title = `${dir} ${title}`;
+
+    meta.series = dir;
+    return meta;
+  },
+
+  source(folder, { path, file }) {
+    return { folderId: folder.id, path, size: file.size, lastModified: file.lastModified };
+  }
+};
+
+/* ═══════════════════════════════════════════════
+   LIBRARY STORAGE
+   Browser quota & persistence (navigator.storage)
+═══════════════════════════════════════════════ */
+const LibraryStorage = {
+  /* { usage, quota } in bytes, or null where unsupported */
+  async estimate() {
+    if (!navigator.storage?.estimate) return null;
+    return navigator.storage.estimate();
+  },
+
+  async isPersisted() {
+    return !!(await navigator.storage?.persisted?.());
+  },
+
+  /* Ask the browser not to evict our data under storage pressure */
+  async persist() {
+    return !!(await navigator.storage?.persist?.());
+  },
+
+  /* Fail before writing when `bytes` clearly won't fit */
+  async ensureRoom(bytes) {
+    const est = await this.estimate();
+    if (est?.quota && est.usage + bytes > est.quota) {
+      throw new DOMException('Not enough storage space', 'QuotaExceededError');
+    }
+  },
+
+  isQuotaError(err) {
+    return err?.name === 'QuotaExceededError';
+  }
+};
+
+/* ═══════════════════════════════════════════════
+   SEARCH
+   Titles and queries are folded to a common form so
+   "pokemon" finds "Pokémon", "ＯＮＥ" finds "ONE" and
+   katakana finds hiragana. CJK has no word breaks,
+   so matching is by substring rather than by word.
+═══════════════════════════════════════════════ */
+const Search = {
+  fold(text) {
+    return text
+      .normalize('NFKD')                        // split accents off, full-width → ASCII
+      .replace(/[\u0300-\u036f]/g, '')          // drop Latin combining accents only
+      .replace(/[\u30a1-\u30f6]/g, ch =>        // katakana → hiragana
+        String.fromCharCode(ch.charCodeAt(0) - 0x60))
+      .toLowerCase();
+  },
+
+  /* Every whitespace-separated term must appear in the title, author, series or tags */
+  matches(comic, query) {
+    const terms = this.fold(query).split(/\s+/).filter(Boolean);
+    if (!terms.length) return true;
+    const hay = this.fold([
+      comic.title, comic.author, Series.infoOf(comic).series, ...(comic.tags || []),
+    ].filter(Boolean).join(' '));
+    return terms.every(t => hay.includes(t));
+  }
+};
+
 /* ═══════════════════════════════════════════════
    LIBRARY
    Comic grid, file import, cover generation
@@ -852,17 +3151,39 @@ class Library {
     this.comicGrid    = document.getElementById('comicGrid');
     this.continueGrid = document.getElementById('continueGrid');
     this.continueSection = document.getElementById('continueSection');
-    this.sortToggle   = document.getElementById('sortToggle');
+    this.sortSelect   = document.getElementById('sortSelect');
+    this.tools        = document.getElementById('libraryTools');
+    this.searchInput  = document.getElementById('librarySearch');
+    this.noMatches    = document.getElementById('noMatches');
+    this.collectionBar = document.getElementById('collectionBar');
+    this.selectBar    = document.getElementById('selectBar');
     this.emptyState   = document.getElementById('emptyState');
     this.titleEl      = document.getElementById('allComicsTitle');
+    this.seriesBack   = document.getElementById('btnSeriesBack');
 
     this._comics      = [];   // All comic metas
     this._progress    = {};   // Map<id, progressData>
+    this._bookmarkCounts = new Map();  // Map<id, count>
+    this.VIEW_KEY     = 'inkflow.libraryView';
+    this.COVER_PX     = 260;
     this._sortBy      = 'title';
+    this._query       = '';
+    this._filters     = new Set();   // 'unread' | 'reading' | 'finished'; empty = all
+    this._collections = [];
+    this._view        = 'all';       // 'all' | 'favorites' | collection id
+    this._selected    = null;        // Set<comicId> while multi-selecting
+    this._editTargets = [];          // comics the tags / collections sheet applies to
+    this._seriesView  = null;   // key of the open series, null = whole library
 
     this._contextComic = null;
+    this._sheet        = null;   // open bottom sheet element
+    this._detailsComic = null;   // comic being edited in the details sheet
+    this._pendingCover = null;   // cover picked in the details sheet, applied on save
+    this._sheetOnClose = null;   // callback for the open sheet, run once on close
+    this._reattachComic = null;  // offloaded comic waiting for its file
     this._longPressTimer = null;
 
+    this._loadView();
     this._bindUI();
   }
 
@@ -871,21 +3192,101 @@ class Library {
     document.getElementById('btnEmptyAdd').addEventListener('click', () => this._pickFiles());
     document.getElementById('fileInput').addEventListener('change', (e) => this._onFilesChosen(e));
 
-    // Sort buttons
-    document.querySelectorAll('.sort-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        document.querySelectorAll('.sort-btn').forEach(b => b.classList.remove('active'));
-        e.target.classList.add('active');
-        this._sortBy = e.target.dataset.sort;
+    // Backup & restore
+    document.getElementById('btnBackup').addEventListener('click', () => this._openSheet('backupMenu'));
+    document.getElementById('ctxExportFull').addEventListener('click', () => this._exportBackup(true));
+    document.getElementById('ctxExportMeta').addEventListener('click', () => this._exportBackup(false));
+    document.getElementById('ctxRestore').addEventListener('click', () => {
+      this._closeSheet();
+      document.getElementById('backupInput').click();
+    });
+    document.getElementById('backupInput').addEventListener('change', (e) => this._onBackupChosen(e));
+
+    // Storage dashboard
+    document.getElementById('btnStorage').addEventListener('click', () => this._openStorage());
+    document.getElementById('storagePersist').addEventListener('click', () => this._persistStorage());
+    document.getElementById('reattachInput').addEventListener('change', (e) => this._onReattachChosen(e));
+
+    // Linked folders
+    document.getElementById('btnFolders').addEventListener('click', () => this._openFolders());
+    document.getElementById('ctxAddFolder').addEventListener('click', () => this._addFolder());
+    document.getElementById('folderInput').addEventListener('change', (e) => this._onFolderChosen(e));
+
+    // Search, filters & sort
+    this.searchInput.addEventListener('input', () => {
+      this._query = this.searchInput.value;
+      this._saveView();
+      this._renderGrid();
+    });
+    this.tools.querySelectorAll('.filter-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        const f = chip.dataset.filter;
+        if (!this._filters.delete(f)) this._filters.add(f);
+        chip.classList.toggle('active', this._filters.has(f));
+        this._saveView();
         this._renderGrid();
       });
     });
+    this.sortSelect.addEventListener('change', () => {
+      this._sortBy = this.sortSelect.value;
+      this._saveView();
+      this._renderGrid();
+    });
+
+    // Series view
+    this.seriesBack.addEventListener('click', () => {
+      if (history.state?.series) history.back();
+      else this.closeSeries();
+    });
 
     // Context menu
     document.getElementById('ctxRead').addEventListener('click',   () => this._ctxRead());
+    document.getElementById('ctxDetails').addEventListener('click', () => this._ctxDetails());
     document.getElementById('ctxReset').addEventListener('click',  () => this._ctxReset());
     document.getElementById('ctxDelete').addEventListener('click', () => this._ctxDelete());
-    document.getElementById('contextOverlay').addEventListener('click', () => this._closeContext());
+    document.getElementById('contextOverlay').addEventListener('click', () => this._closeSheet());
+
+    document.getElementById('ctxFavorite').addEventListener('click',    () => this._ctxFavorite());
+    document.getElementById('ctxTags').addEventListener('click',        () => this._ctxEdit('tags'));
+    document.getElementById('ctxCollections').addEventListener('click', () => this._ctxEdit('collections'));
+    document.getElementById('ctxSelect').addEventListener('click',      () => this._ctxSelect());
+
+    // Multi-select bar
+    document.getElementById('selFavorite').addEventListener('click',    () => this._toggleFavorite(this._selectedComics()));
+    document.getElementById('selTags').addEventListener('click',        () => this._editSelected('tags'));
+    document.getElementById('selCollections').addEventListener('click', () => this._editSelected('collections'));
+    document.getElementById('selDone').addEventListener('click',        () => this._endSelect());
+
+    // Tags & collections sheets
+    document.getElementById('tagInput').addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      this._addTag(e.target.value);
+    });
+    document.getElementById('tagsDone').addEventListener('click', () => {
+      this._addTag(document.getElementById('tagInput').value);
+      this._closeSheet();
+    });
+    document.getElementById('newCollectionForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._createCollection(document.getElementById('newCollectionName').value);
+    });
+    document.getElementById('collectionsDone').addEventListener('click', () => this._closeSheet());
+    document.getElementById('btnDeleteCollection').addEventListener('click', () => this._deleteCollection());
+
+    // Duplicate prompt
+    document.querySelectorAll('#duplicateSheet [data-choice]').forEach(btn => {
+      btn.addEventListener('click', () => this._closeSheet(btn.dataset.choice));
+    });
+
+    // Details sheet
+    document.getElementById('detailsSave').addEventListener('click', () => this._saveDetails());
+    document.getElementById('seriesAuto').addEventListener('click', () => {
+      ['seriesName', 'seriesVolume', 'seriesChapter'].forEach(id => document.getElementById(id).value = '');
+    });
+    document.getElementById('coverFromPage').addEventListener('click', () => this._coverFromPage());
+    document.getElementById('coverImport').addEventListener('click', () => document.getElementById('coverInput').click());
+    document.getElementById('coverInput').addEventListener('change', (e) => this._coverFromImage(e));
   }
 
   _pickFiles() {
@@ -896,47 +3297,149 @@ class Library {
     const files = [...e.target.files];
     e.target.value = '';
     if (!files.length) return;
+    await this.importFiles(files);
+  }
 
-    Toast.show(`Importing ${files.length} file${files.length > 1 ? 's' : ''}…`);
+  /**
+   * Import picked, shared or OS-opened files with a progress toast.
+   * Unsupported files are skipped. Returns the added comic records.
+   * `metaFor(file)` can add record fields (see Folders.describe).
+   */
+  async importFiles(files, metaFor = () => ({})) {
+    const progress = Toast.progress(`Importing ${files.length} file${files.length > 1 ? 's' : ''}…`);
+    const added    = [];
+    let   always   = null;   // duplicate choice the user applied to the rest of the batch
 
-    for (const file of files) {
-      if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
-        Toast.show(`Skipped: ${file.name} (not a PDF)`);
-        continue;
+    try {
+      for (const [i, file] of files.entries()) {
+        const format = PageSource.detectFormat(file);
+        if (!format) {
+          Toast.show(`Skipped: ${file.name} (not a PDF or CBZ)`);
+          continue;
+        }
+        if (files.length > 1) progress.update(`Importing ${i + 1} of ${files.length}…`);
+
+        try {
+          const hash = await fingerprint(file);
+          const twin = await this._findDuplicate(hash, file.size);
+
+          // The file an offloaded comic is missing — just put it back
+          if (twin?.offloaded) {
+            added.push(await this._attachFile(twin, file));
+            continue;
+          }
+
+          let choice = 'both';
+          if (twin) {
+            const answer = always ? { choice: always } : await this._askDuplicate(file, twin, i < files.length - 1);
+            choice = answer.choice;
+            if (answer.all) always = choice;
+          }
+
+          if (choice === 'skip') {
+            added.push(twin);
+          } else if (choice === 'replace') {
+            added.push(await this._replaceFile(twin, file));
+          } else {
+            const comic = await this._importFile(file, format, { hash, ...metaFor(file) });
+            this._comics.push(comic);   // so a repeat later in this batch is caught
+            added.push(comic);
+          }
+        } catch (err) {
+          console.error(`Import failed: ${file.name}`, err);
+          if (LibraryStorage.isQuotaError(err)) {
+            Toast.show('Storage full — offload or delete comics to make room', 4000);
+            break;
+          }
+          Toast.show(`Couldn't import ${file.name}`);
+        }
       }
-      await this._importFile(file);
+    } finally {
+      progress.done();
+      await this.refresh();
     }
-
-    await this.refresh();
+    return added;
   }
 
-  async _importFile(file) {
+  /* `meta` overrides/extends the record (folder imports: title, series, source) */
+  async _importFile(file, format = 'pdf', meta = {}) {
     const id = uid();
-    const title = file.name.replace(/\.pdf$/i, '').replace(/[-_]/g, ' ');
+    const fileTitle = file.name.replace(/\.(pdf|cbz)$/i, '').replace(/[-_]/g, ' ');
 
     // Save blob
+    await LibraryStorage.ensureRoom(file.size);
     await DB.saveFile(id, file);
 
-    // Generate cover thumbnail
-    let coverDataUrl = '';
     try {
-      pdfjsLib.GlobalWorkerOptions.workerSrc =
-        'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+      // Generate cover thumbnail from the first page
+      const { coverDataUrl, pages, info } = await this._readFile(file, format);
+      const hash   = meta.hash || await fingerprint(file);
+      const title  = this._usableTitle(info.title, fileTitle) || fileTitle;
+      const author = info.author;
+
+      const comic = { id, title, author, format, size: file.size, pages, addedAt: Date.now(), coverDataUrl, ...meta, hash };
+      await DB.saveComic(comic);
+      return comic;
+    } catch (err) {
+      await DB.deleteComic(id);   // don't leave an orphaned blob behind
+      throw err;
+    }
+  }
 
-      const tempRenderer = new PdfRenderer();
-      const url = URL.createObjectURL(file);
-      const loadingTask = pdfjsLib.getDocument({ url });
-      tempRenderer.pdfDoc = await loadingTask.promise;
-      URL.revokeObjectURL(url);
+  /* Cover from the first page, the page count and embedded info (PDF Title/Author) */
+  async _readFile(file, format) {
+    try {
+      const tempRenderer = PageSource.create(format);
+      const pages = await tempRenderer.load(file);
+      const info  = await tempRenderer.getMetadata().catch(() => ({}));
 
-      const thumb = await tempRenderer.renderThumbnail(1, 260);
-      if (thumb) coverDataUrl = thumb.toDataURL('image/jpeg', 0.7);
+      const coverDataUrl = await this._renderCover(tempRenderer, 1);
       tempRenderer.destroy();
+      return { coverDataUrl, pages, info };
     } catch (err) {
       console.warn('Cover generation failed', err);
+      return { coverDataUrl: '', info: {} };
     }
+  }
+
+  async _renderCover(renderer, page) {
+    const thumb = await renderer.renderThumbnail(page, this.COVER_PX);
+    return thumb ? thumb.toDataURL('image/jpeg', 0.7) : '';
+  }
+
+  /* Authoring tools leave placeholder titles behind — those lose to the filename */
+  _usableTitle(title, fileTitle) {
+    if (!title || title.length < 2) return null;
+    if (/^(untitled|document|microsoft \w+ - )/i.test(title)) return null;
+    if (/\.\w{2,4}$/.test(title)) return null;   // "scan_0001.tif"
+
+    // Every volume's PDF often just says "ONE PIECE" — keep the filename's numbering
+    const numbered = (t) => { const p = Series.parse(t); return p.volume != null || p.chapter != null; };
+    if (numbered(fileTitle) && !numbered(title)) return null;
+    return title;
+  }
 
-    await DB.saveComic({ id, title, size: file.size, addedAt: Date.now(), coverDataUrl });
+  /* New contents for an existing comic — id, progress and bookmarks stay */
+  async _replaceFile(comic, file, meta = {}) {
+    const format = PageSource.detectFormat(file) || comic.format;
+    await LibraryStorage.ensureRoom(file.size);
+    await DB.saveFile(comic.id, file);
+    await DB.deleteThumbs(comic.id);
+    await DB.deletePageSizes(comic.id);
+
+    const { coverDataUrl, pages } = await this._readFile(file, format);
+    // The new file is in the library and (for folder rescans) where we expect it
+    delete comic.offloaded;
+    delete comic.missing;
+    Object.assign(comic, meta, {
+      format,
+      coverDataUrl,
+      pages,
+      size: file.size,
+      hash: await fingerprint(file),
+    });
+    await DB.saveComic(comic);
+    return comic;
   }
 
   async refresh() {
@@ -944,45 +3447,149 @@ class Library {
     const allProgress = await DB.getAllProgress();
     this._progress = {};
     allProgress.forEach(p => this._progress[p.id] = p);
+    this._bookmarkCounts = await DB.getBookmarkCounts();
+    this._collections = (await DB.getCollections())
+      .sort((a, b) => naturalCollator.compare(a.name, b.name));
 
+    this._renderCollectionBar();
     this._renderGrid();
     this._renderContinue();
+    if (this._selected) this._paintSelection();
   }
 
-  _sortedComics() {
-    const c = [...this._comics];
-    if (this._sortBy === 'title') {
-      c.sort((a, b) => a.title.localeCompare(b.title));
-    } else {
-      c.sort((a, b) => (b.addedAt || 0) - (a.addedAt || 0));
+  /* ── Search, filters & sort (persisted across sessions) ── */
+  _loadView() {
+    let view = {};
+    try { view = JSON.parse(localStorage.getItem(this.VIEW_KEY)) || {}; } catch (_) {}
+
+    if (view.sortBy && this.sortSelect.querySelector(`option[value="${view.sortBy}"]`)) {
+      this._sortBy = view.sortBy;
     }
-    return c;
+    this._query   = view.query || '';
+    this._filters = new Set(view.filters || []);
+    this._view    = view.view || 'all';   // checked against the collections on refresh
+
+    this.sortSelect.value  = this._sortBy;
+    this.searchInput.value = this._query;
+    this.tools.querySelectorAll('.filter-chip').forEach(chip => {
+      chip.classList.toggle('active', this._filters.has(chip.dataset.filter));
+    });
+  }
+
+  _saveView() {
+    const view = { query: this._query, filters: [...this._filters], sortBy: this._sortBy, view: this._view };
+    try { localStorage.setItem(this.VIEW_KEY, JSON.stringify(view)); } catch (_) {}
+  }
+
+  /* 'unread' | 'reading' | 'finished' */
+  _status(id) {
+    const prog = this._progress[id];
+    if (!prog || prog.currentPage <= 1) return 'unread';
+    return this._isFinished(id) ? 'finished' : 'reading';
+  }
+
+  _pageCount(comic) {
+    return comic.pages || this._progress[comic.id]?.totalPages || 0;
+  }
+
+  _sortedComics() {
+    const c = this._comics.filter(comic =>
+      this._inView(comic)
+      && (!this._filters.size || this._filters.has(this._status(comic.id)))
+      && Search.matches(comic, this._query));
+
+    const desc = (key) => (a, b) => key(b) - key(a) || naturalCollator.compare(a.title, b.title);
+    const sorts = {
+      title:    (a, b) => naturalCollator.compare(a.title, b.title),
+      recent:   desc(c => c.addedAt || 0),
+      lastRead: desc(c => this._progress[c.id]?.lastRead || 0),
+      size:     desc(c => c.size || 0),
+      pages:    desc(c => this._pageCount(c)),
+      percent:  desc(c => this._comicPct(c.id)),
+    };
+    return c.sort(sorts[this._sortBy] || sorts.title);
   }
 
   _renderGrid() {
     this.comicGrid.innerHTML = '';
-    const sorted = this._sortedComics();
 
-    if (sorted.length === 0) {
+    if (this._comics.length === 0) {
       this.emptyState.classList.remove('hidden');
-      this.sortToggle.classList.add('hidden');
+      this.tools.classList.add('hidden');
+      this.noMatches.classList.add('hidden');
       return;
     }
 
     this.emptyState.classList.add('hidden');
-    this.sortToggle.classList.remove('hidden');
+    this.tools.classList.remove('hidden');
+
+    const sorted = this._sortedComics();
+    this.noMatches.classList.toggle('hidden', sorted.length > 0);
+
+    const groups = Series.group(sorted);
+    const open   = this._seriesView && groups.find(g => g.key === this._seriesView);
+    if (!open) this._seriesView = null;   // e.g. its last volume was deleted
+
+    const collection = this._collections.find(c => c.id === this._view);
+    this.titleEl.textContent = open ? open.name : collection ? collection.name
+      : this._view === 'favorites' ? 'Favourites' : 'My Library';
+    this.seriesBack.classList.toggle('hidden', !open);
+    document.getElementById('btnDeleteCollection').classList.toggle('hidden', !collection || !!open);
 
-    sorted.forEach((comic, i) => {
-      const card = this._buildCard(comic, i);
+    if (open) {
+      open.comics.forEach((comic, i) => {
+        this.comicGrid.appendChild(this._buildCard(comic, i, true));
+      });
+      return;
+    }
+
+    groups.forEach((group, i) => {
+      const card = group.comics.length > 1
+        ? this._buildSeriesCard(group, i)
+        : this._buildCard(group.comics[0], i);
       this.comicGrid.appendChild(card);
     });
   }
 
+  openSeries(key) {
+    this._seriesView = key;
+    history.pushState({ series: key }, '');
+    this._renderGrid();
+    this.el.querySelector('.lib-body').scrollTop = 0;
+  }
+
+  closeSeries() {
+    if (!this._seriesView) return;
+    this._seriesView = null;
+    this._renderGrid();
+  }
+
+  /** The comic after this one in its series, if any */
+  nextInSeries(comic) {
+    const key   = Series.key(Series.infoOf(comic).series);
+    const group = Series.group(this._comics).find(g => g.key === key);
+    if (!group) return null;
+    const i = group.comics.findIndex(c => c.id === comic.id);
+    return group.comics[i + 1] || null;
+  }
+
+  _comicPct(id) {
+    const prog = this._progress[id];
+    if (this._isFinished(id)) return 1;
+    return prog ? (prog.currentPage - 1) / Math.max(prog.totalPages - 1, 1) : 0;
+  }
+
+  /* A book that ends on a spread is finished once that spread is showing */
+  _isFinished(id) {
+    const prog = this._progress[id];
+    return !!prog && (prog.lastPage || prog.currentPage) >= prog.totalPages;
+  }
+
   _renderContinue() {
     this.continueGrid.innerHTML = '';
     const inProgress = this._comics.filter(c => {
       const p = this._progress[c.id];
-      return p && p.currentPage > 1 && p.currentPage < p.totalPages;
+      return p && p.currentPage > 1 && !this._isFinished(c.id);
     });
 
     if (inProgress.length === 0) {
@@ -999,53 +3606,117 @@ class Library {
       });
   }
 
-  _buildCard(comic, index) {
+  _buildCard(comic, index, inSeries = false) {
     const card = document.createElement('div');
     card.className = 'comic-card';
     card.style.animationDelay = Math.min(index * 40, 400) + 'ms';
 
     const prog  = this._progress[comic.id];
-    const pct   = prog ? (prog.currentPage - 1) / Math.max(prog.totalPages - 1, 1) : 0;
-
+    const pct   = this._comicPct(comic.id);
+    const marks = this._bookmarkCounts.get(comic.id) || 0;
+    const label = inSeries ? Series.label(Series.infoOf(comic)) : '';
+    let   state = comic.offloaded ? 'Offloaded' : prog ? `Page ${prog.currentPage}` : 'Not started';
+    if (comic.missing) state = `Not in folder · ${state}`;
+
+    if (comic.offloaded) card.classList.add('offloaded');
+    card.dataset.ids = comic.id;
     card.innerHTML = `
       <div class="cover-wrap">
+        ${comic.favorite ? `
+          <div class="card-fav-badge" aria-label="Favourite">
+            <svg viewBox="0 0 24 24" fill="currentColor"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>
+          </div>` : ''}
         ${comic.coverDataUrl
           ? `<canvas class="cover-canvas" style="position:absolute;inset:0;width:100%;height:100%;object-fit:cover"></canvas>`
           : '<div class="cover-shimmer"></div>'
         }
+        ${marks ? `
+          <div class="card-bookmark-badge" aria-label="${marks} bookmarks">
+            <svg viewBox="0 0 24 24" fill="currentColor"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>
+            ${marks}
+          </div>` : ''}
+        ${comic.offloaded ? `
+          <div class="card-offload-badge" aria-label="Offloaded">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z"/>
+            </svg>
+          </div>` : ''}
         <div class="card-progress-bar">
           <div class="card-progress-fill" style="width:${Math.round(pct * 100)}%"></div>
         </div>
       </div>
       <div class="card-info">
         <div class="card-title">${this._esc(comic.title)}</div>
-        <div class="card-meta">${prog ? `Page ${prog.currentPage}` : 'Not started'}</div>
+        <div class="card-meta">${label ? `${label} · ${state}` : state}</div>
       </div>
     `;
 
     // Render cover image if available
-    if (comic.coverDataUrl) {
-      const img    = new Image();
-      img.onload   = () => {
-        const cvs = card.querySelector('canvas.cover-canvas');
-        if (!cvs) return;
-        const ctx = cvs.getContext('2d');
-        cvs.width  = img.naturalWidth;
-        cvs.height = img.naturalHeight;
-        ctx.drawImage(img, 0, 0);
-      };
-      img.src = comic.coverDataUrl;
-    }
+    if (comic.coverDataUrl) this._paintCover(card, comic.coverDataUrl);
+
+    // Open on tap (or pick, while selecting)
+    card.addEventListener('click', () => {
+      if (this._selected) this._toggleSelected([comic]);
+      else this._open(comic);
+    });
+
+    // Long-press context menu
+    this._attachLongPress(card, comic);
+
+    return card;
+  }
+
+  /* Stacked card standing in for every volume of a series */
+  _buildSeriesCard(group, index) {
+    const card = document.createElement('div');
+    card.className = 'comic-card series-card';
+    card.style.animationDelay = Math.min(index * 40, 400) + 'ms';
+    card.dataset.ids = group.comics.map(c => c.id).join(' ');
+
+    const first = group.comics[0];
+    const count = group.comics.length;
+    const read  = group.comics.filter(c => this._isFinished(c.id)).length;
+    const pct   = group.comics.reduce((sum, c) => sum + this._comicPct(c.id), 0) / count;
 
-    // Open on tap
-    card.addEventListener('click', () => App.openReader(comic));
+    card.innerHTML = `
+      <div class="cover-wrap">
+        ${first.coverDataUrl
+          ? `<canvas class="cover-canvas" style="position:absolute;inset:0;width:100%;height:100%;object-fit:cover"></canvas>`
+          : '<div class="cover-shimmer"></div>'
+        }
+        <div class="card-series-badge" aria-label="${count} volumes">${count}</div>
+        <div class="card-progress-bar">
+          <div class="card-progress-fill" style="width:${Math.round(pct * 100)}%"></div>
+        </div>
+      </div>
+      <div class="card-info">
+        <div class="card-title">${this._esc(group.name)}</div>
+        <div class="card-meta">${count} volumes · ${read} read</div>
+      </div>
+    `;
 
-    // Long-press context menu
-    this._attachLongPress(card, comic);
+    if (first.coverDataUrl) this._paintCover(card, first.coverDataUrl);
 
+    card.addEventListener('click', () => {
+      if (this._selected) this._toggleSelected(group.comics);
+      else this.openSeries(group.key);
+    });
     return card;
   }
 
+  _paintCover(card, dataUrl) {
+    const img  = new Image();
+    img.onload = () => {
+      const cvs = card.querySelector('canvas.cover-canvas');
+      if (!cvs) return;
+      const ctx = cvs.getContext('2d');
+      cvs.width  = img.naturalWidth;
+      cvs.height = img.naturalHeight;
+      ctx.drawImage(img, 0, 0);
+    };
+    img.src = dataUrl;
+  }
+
   _buildContinueCard(comic, index) {
     const card = document.createElement('div');
     card.className = 'continue-card';
@@ -1092,14 +3763,21 @@ class Library {
       img.src = comic.coverDataUrl;
     }
 
-    card.addEventListener('click', () => App.openReader(comic));
+    card.addEventListener('click', () => this._open(comic));
     return card;
   }
 
+  /* Offloaded comics need their file back before they can be read */
+  _open(comic) {
+    if (comic.offloaded) this._reattach(comic);
+    else App.openReader(comic);
+  }
+
   _attachLongPress(card, comic) {
     let timer = null;
 
     const start = (e) => {
+      if (this._selected) return;
       timer = setTimeout(() => {
         timer = null;
         this._openContext(comic, e.clientX, e.clientY);
@@ -1117,29 +3795,190 @@ class Library {
   _openContext(comic, x, y) {
     this._contextComic = comic;
     document.getElementById('contextMenuTitle').textContent = comic.title;
-    document.getElementById('contextMenu').classList.remove('hidden');
+    document.getElementById('ctxFavoriteLabel').textContent =
+      comic.favorite ? 'Remove from Favourites' : 'Add to Favourites';
+    this._openSheet('contextMenu');
+  }
+
+  /**
+   * Bottom sheets (comic context menu, backup menu, …) share one overlay.
+   * `onClose(result)` runs once the sheet has animated out; `result` is
+   * whatever was passed to _closeSheet (undefined for an overlay tap).
+   */
+  _openSheet(id, onClose = null) {
+    this._sheet        = document.getElementById(id);
+    this._sheetOnClose = onClose;
+    this._sheet.classList.remove('hidden');
     document.getElementById('contextOverlay').classList.remove('hidden');
   }
 
-  _closeContext() {
-    const menu = document.getElementById('contextMenu');
+  _closeSheet(result) {
+    const menu    = this._sheet;
+    const onClose = this._sheetOnClose;
+    if (!menu) return;
+    this._sheet        = null;
+    this._sheetOnClose = null;
     menu.classList.add('dismissing');
     setTimeout(() => {
-      menu.classList.remove('hidden', 'dismissing');
+      menu.classList.remove('dismissing');
+      menu.classList.add('hidden');
       document.getElementById('contextOverlay').classList.add('hidden');
       this._contextComic = null;
+      if (onClose) onClose(result);
     }, 300);
   }
 
+  /* ── Duplicates ── */
+
+  /* Comic with the same content. Records from before hashing get theirs on demand. */
+  async _findDuplicate(hash, size) {
+    for (const comic of this._comics) {
+      if (comic.size !== size) continue;
+      if (!comic.hash) {
+        const blob = await DB.getFile(comic.id);
+        if (!blob) continue;
+        comic.hash = await fingerprint(blob);
+        await DB.saveComic(comic);
+      }
+      if (comic.hash === hash) return comic;
+    }
+    return null;
+  }
+
+  /* Resolves { choice: 'skip' | 'replace' | 'both', all } — dismissing means skip */
+  _askDuplicate(file, twin, more) {
+    const all = document.getElementById('duplicateAll');
+    all.checked = false;
+    all.closest('label').classList.toggle('hidden', !more);
+    document.getElementById('duplicateFile').textContent  = file.name;
+    document.getElementById('duplicateTwin').textContent  = twin.title;
+
+    return new Promise((resolve) => {
+      this._openSheet('duplicateSheet', (choice) => {
+        resolve({ choice: choice || 'skip', all: all.checked });
+      });
+    });
+  }
+
   async _ctxRead() {
     const c = this._contextComic;
-    this._closeContext();
-    if (c) setTimeout(() => App.openReader(c), 350);
+    this._closeSheet();
+    if (c) setTimeout(() => this._open(c), 350);
+  }
+
+  _ctxDetails() {
+    const c = this._contextComic;
+    this._closeSheet();
+    if (c) setTimeout(() => this._openDetails(c), 350);
+  }
+
+  /* Title, credits, series & cover; series placeholders show the parsed values */
+  _openDetails(comic) {
+    const auto = Series.parse(comic.title);
+    const $    = (id) => document.getElementById(id);
+
+    this._detailsComic = comic;
+    this._pendingCover = null;
+    $('detailsSheetTitle').textContent = comic.title;
+    $('detailsTitle').value       = comic.title;
+    $('detailsAuthor').value      = comic.author || '';
+    $('seriesName').value         = comic.series || '';
+    $('seriesVolume').value       = comic.volume  ?? '';
+    $('seriesChapter').value      = comic.chapter ?? '';
+    $('detailsYear').value        = comic.year ?? '';
+    $('detailsLanguage').value    = comic.language || '';
+    $('detailsDescription').value = comic.description || '';
+    $('seriesName').placeholder    = auto.series;
+    $('seriesVolume').placeholder  = auto.volume  ?? '—';
+    $('seriesChapter').placeholder = auto.chapter ?? '—';
+
+    const pages = this._pageCount(comic);
+    $('coverPage').value = 1;
+    $('coverPage').max   = pages || '';
+    $('coverPageTotal').textContent = pages ? `of ${pages}` : '';
+    $('coverFromPage').disabled = !!comic.offloaded;
+    this._showDetailsCover(comic.coverDataUrl);
+
+    this._openSheet('detailsSheet', () => { this._detailsComic = null; });
+  }
+
+  _showDetailsCover(dataUrl) {
+    const img = document.getElementById('detailsCover');
+    img.classList.toggle('hidden', !dataUrl);
+    if (dataUrl) img.src = dataUrl;
+  }
+
+  async _coverFromPage() {
+    const comic = this._detailsComic;
+    if (!comic) return;
+    const input = document.getElementById('coverPage');
+    const blob  = await DB.getFile(comic.id);
+    if (!blob) return;
+
+    const renderer = PageSource.create(comic.format);
+    try {
+      const pages = await renderer.load(blob);
+      const page  = clamp(parseInt(input.value, 10) || 1, 1, pages);
+      input.value = page;
+      this._pendingCover = await this._renderCover(renderer, page);
+      this._showDetailsCover(this._pendingCover);
+    } catch (err) {
+      console.error('Cover render failed', err);
+      Toast.show("Couldn't render that page");
+    } finally {
+      renderer.destroy();
+    }
+  }
+
+  /* Any image, scaled down to cover size */
+  async _coverFromImage(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !this._detailsComic) return;
+
+    try {
+      const bmp    = await createImageBitmap(file);
+      const canvas = document.createElement('canvas');
+      canvas.width  = Math.min(this.COVER_PX, bmp.width);
+      canvas.height = Math.round(bmp.height * canvas.width / bmp.width);
+      canvas.getContext('2d').drawImage(bmp, 0, 0, canvas.width, canvas.height);
+      bmp.close();
+      this._pendingCover = canvas.toDataURL('image/jpeg', 0.7);
+      this._showDetailsCover(this._pendingCover);
+    } catch (err) {
+      console.error('Cover image failed', err);
+      Toast.show("Couldn't read that image");
+    }
+  }
+
+  async _saveDetails() {
+    const comic = this._detailsComic;
+    const cover = this._pendingCover;
+    this._closeSheet();
+    if (!comic) return;
+
+    const $    = (id) => document.getElementById(id).value.trim();
+    const num  = (id) => $(id) === '' ? null : parseFloat($(id));
+    const text = (id) => $(id) || null;
+
+    comic.title       = $('detailsTitle') || comic.title;
+    comic.author      = text('detailsAuthor');
+    comic.series      = text('seriesName');      // empty = parse from title
+    comic.volume      = num('seriesVolume');
+    comic.chapter     = num('seriesChapter');
+    comic.year        = num('detailsYear');
+    comic.language    = text('detailsLanguage');
+    comic.description = text('detailsDescription');
+    if (cover) comic.coverDataUrl = cover;
+
+    await DB.saveComic(comic);
+    await this.refresh();
+    Toast.show('Details saved');
   }
 
   async _ctxReset() {
     const c = this._contextComic;
-    this._closeContext();
+    this._closeSheet();
     if (!c) return;
     await DB.resetProgress(c.id);
     await this.refresh();
@@ -1148,13 +3987,581 @@ class Library {
 
   async _ctxDelete() {
     const c = this._contextComic;
-    this._closeContext();
+    this._closeSheet();
     if (!c) return;
     await DB.deleteComic(c.id);
     await this.refresh();
     Toast.show(`Deleted "${c.title}"`);
   }
 
+  /* ── Favourites, tags & collections ── */
+
+  _inView(comic) {
+    if (this._view === 'all')       return true;
+    if (this._view === 'favorites') return !!comic.favorite;
+    return !!comic.collections?.includes(this._view);
+  }
+
+  /* All · Favourites · each collection */
+  _renderCollectionBar() {
+    if (this._view !== 'all' && this._view !== 'favorites'
+        && !this._collections.some(c => c.id === this._view)) {
+      this._view = 'all';   // deleted, or gone after a restore
+    }
+
+    const views = [
+      { id: 'all',       name: 'All' },
+      { id: 'favorites', name: 'Favourites' },
+      ...this._collections,
+    ];
+    this.collectionBar.innerHTML = '';
+    this.collectionBar.classList.toggle('hidden', this._comics.length === 0);
+
+    for (const view of views) {
+      const btn = document.createElement('button');
+      btn.className   = 'collection-tab';
+      btn.textContent = view.name;
+      btn.classList.toggle('active', view.id === this._view);
+      btn.addEventListener('click', () => this._setView(view.id));
+      this.collectionBar.appendChild(btn);
+    }
+  }
+
+  _setView(id) {
+    if (id === this._view) return;
+    this._view = id;
+    this._saveView();
+    if (history.state?.series) history.back();   // leave the series view too
+    this._seriesView = null;
+    this._renderCollectionBar();
+    this._renderGrid();
+    this.el.querySelector('.lib-body').scrollTop = 0;
+  }
+
+  _ctxFavorite() {
+    const c = this._contextComic;
+    this._closeSheet();
+    if (c) this._toggleFavorite([c]);
+  }
+
+  /* Favourite all of them, or unfavourite all if they already are */
+  async _toggleFavorite(comics) {
+    if (!comics.length) return;
+    const on = !comics.every(c => c.favorite);
+    for (const comic of comics) {
+      comic.favorite = on;
+      await DB.saveComic(comic);
+    }
+    await this.refresh();
+    Toast.show(on ? 'Added to Favourites' : 'Removed from Favourites');
+  }
+
+  _ctxEdit(kind) {
+    const c = this._contextComic;
+    this._closeSheet();
+    if (c) setTimeout(() => this._openEditSheet(kind, [c]), 350);
+  }
+
+  _editSelected(kind) {
+    const comics = this._selectedComics();
+    if (comics.length) this._openEditSheet(kind, comics);
+  }
+
+  _openEditSheet(kind, comics) {
+    this._editTargets = comics;
+    const title = comics.length === 1 ? comics[0].title : `${comics.length} comics`;
+
+    if (kind === 'tags') {
+      document.getElementById('tagsSheetTitle').textContent = title;
+      document.getElementById('tagInput').value = '';
+      this._renderTags();
+      this._openSheet('tagsSheet', () => this.refresh());
+    } else {
+      document.getElementById('collectionsSheetTitle').textContent = title;
+      document.getElementById('newCollectionName').value = '';
+      this._renderCollectionChecks();
+      this._openSheet('collectionsSheet', () => this.refresh());
+    }
+  }
+
+  /* Tags on any of the targets; removing one takes it off all of them */
+  _renderTags() {
+    const list    = document.getElementById('tagList');
+    const targets = this._editTargets;
+    const tags    = [...new Set(targets.flatMap(c => c.tags || []))].sort(naturalCollator.compare);
+
+    list.innerHTML = '';
+    for (const tag of tags) {
+      const chip = document.createElement('button');
+      chip.className = 'tag-chip';
+      chip.classList.toggle('partial', !targets.every(c => c.tags?.includes(tag)));
+      chip.innerHTML = '<span></span><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>';
+      chip.querySelector('span').textContent = tag;
+      chip.setAttribute('aria-label', `Remove tag ${tag}`);
+      chip.addEventListener('click', () => this._removeTag(tag));
+      list.appendChild(chip);
+    }
+
+    // Suggest tags used elsewhere in the library
+    const known = document.getElementById('tagSuggestions');
+    known.innerHTML = '';
+    [...new Set(this._comics.flatMap(c => c.tags || []))]
+      .filter(t => !tags.includes(t))
+      .forEach(t => known.appendChild(Object.assign(document.createElement('option'), { value: t })));
+  }
+
+  async _addTag(value) {
+    const tag = value.trim().replace(/\s+/g, ' ');
+    document.getElementById('tagInput').value = '';
+    if (!tag) return;
+    for (const comic of this._editTargets) {
+      if (comic.tags?.includes(tag)) continue;
+      comic.tags = [...(comic.tags || []), tag];
+      await DB.saveComic(comic);
+    }
+    this._renderTags();
+  }
+
+  async _removeTag(tag) {
+    for (const comic of this._editTargets) {
+      if (!comic.tags?.includes(tag)) continue;
+      comic.tags = comic.tags.filter(t => t !== tag);
+      await DB.saveComic(comic);
+    }
+    this._renderTags();
+  }
+
+  /* One checkbox per collection — indeterminate when only some targets are in it */
+  _renderCollectionChecks() {
+    const list    = document.getElementById('collectionList');
+    const targets = this._editTargets;
+    list.innerHTML = '';
+
+    for (const col of this._collections) {
+      const inIt = targets.filter(c => c.collections?.includes(col.id)).length;
+      const row  = document.createElement('label');
+      row.className = 'sheet-check';
+      row.innerHTML = '<input type="checkbox"><span></span>';
+      row.querySelector('span').textContent = col.name;
+
+      const box = row.querySelector('input');
+      box.checked       = inIt === targets.length;
+      box.indeterminate = inIt > 0 && inIt < targets.length;
+      box.addEventListener('change', () => this._setMembership(col.id, box.checked));
+      list.appendChild(row);
+    }
+  }
+
+  async _setMembership(collectionId, member) {
+    for (const comic of this._editTargets) {
+      const ids = comic.collections || [];
+      if (ids.includes(collectionId) === member) continue;
+      comic.collections = member ? [...ids, collectionId] : ids.filter(id => id !== collectionId);
+      await DB.saveComic(comic);
+    }
+  }
+
+  async _createCollection(value) {
+    const name = value.trim();
+    if (!name) return;
+    const existing = this._collections.find(c => naturalCollator.compare(c.name, name) === 0);
+    const col = existing || { id: uid(), name, createdAt: Date.now() };
+    if (!existing) {
+      await DB.saveCollection(col);
+      this._collections.push(col);
+      this._collections.sort((a, b) => naturalCollator.compare(a.name, b.name));
+    }
+    await this._setMembership(col.id, true);
+    document.getElementById('newCollectionName').value = '';
+    this._renderCollectionChecks();
+  }
+
+  async _deleteCollection() {
+    const col = this._collections.find(c => c.id === this._view);
+    if (!col) return;
+    await DB.deleteCollection(col.id);
+    this._view = 'all';
+    this._saveView();
+    await this.refresh();
+    Toast.show(`Deleted collection "${col.name}" · comics kept`);
+  }
+
+  /* ── Multi-select ── */
+
+  _ctxSelect() {
+    const c = this._contextComic;
+    this._closeSheet();
+    if (!c) return;
+    this._selected = new Set();
+    this.el.classList.add('selecting');
+    this.selectBar.classList.remove('hidden');
+    this._toggleSelected([c]);
+  }
+
+  _endSelect() {
+    this._selected = null;
+    this.el.classList.remove('selecting');
+    this.selectBar.classList.add('hidden');
+    this.comicGrid.querySelectorAll('.selected').forEach(card => card.classList.remove('selected'));
+  }
+
+  /* Series cards toggle every volume at once */
+  _toggleSelected(comics) {
+    const all = comics.every(c => this._selected.has(c.id));
+    comics.forEach(c => all ? this._selected.delete(c.id) : this._selected.add(c.id));
+    this._paintSelection();
+  }
+
+  _paintSelection() {
+    this.comicGrid.querySelectorAll('[data-ids]').forEach(card => {
+      const ids = card.dataset.ids.split(' ');
+      card.classList.toggle('selected', ids.every(id => this._selected.has(id)));
+    });
+    const n = this._selected.size;
+    document.getElementById('selectCount').textContent = `${n} selected`;
+    this.selectBar.querySelectorAll('.select-action').forEach(btn => btn.disabled = n === 0);
+  }
+
+  _selectedComics() {
+    return this._comics.filter(c => this._selected?.has(c.id));
+  }
+
+  /* ── Storage ── */
+  async _openStorage() {
+    await this._renderStorage();
+    this._openSheet('storageSheet');
+  }
+
+  async _renderStorage() {
+    const est       = await LibraryStorage.estimate();
+    const persisted = await LibraryStorage.isPersisted();
+    const usage     = document.getElementById('storageUsage');
+    const persist   = document.getElementById('storagePersist');
+
+    if (est?.quota) {
+      usage.textContent = `${formatBytes(est.usage)} of ${formatBytes(est.quota)} used`;
+      document.getElementById('storageFill').style.width = Math.min(est.usage / est.quota * 100, 100) + '%';
+    } else {
+      usage.textContent = 'Usage unavailable in this browser';
+    }
+
+    persist.disabled    = persisted;
+    persist.textContent = persisted ? 'Protected from automatic cleanup' : 'Protect from automatic cleanup';
+
+    const list = document.getElementById('storageList');
+    list.innerHTML = '';
+    const comics = [...this._comics].sort((a, b) =>
+      (!!a.offloaded - !!b.offloaded) || (b.size || 0) - (a.size || 0));
+
+    for (const comic of comics) {
+      const row = document.createElement('div');
+      row.className = 'storage-item';
+      row.innerHTML = `
+        <div class="storage-info">
+          <span class="storage-title"></span>
+          <span class="storage-size"></span>
+        </div>
+        <button class="storage-btn"></button>
+      `;
+      row.querySelector('.storage-title').textContent = comic.title;
+      row.querySelector('.storage-size').textContent  =
+        comic.offloaded ? `Offloaded · ${formatBytes(comic.size || 0)}` : formatBytes(comic.size || 0);
+
+      const btn = row.querySelector('.storage-btn');
+      btn.textContent = comic.offloaded ? 'Re-attach' : 'Offload';
+      btn.addEventListener('click', () => {
+        if (comic.offloaded) this._reattach(comic);
+        else this._offload(comic);
+      });
+      list.appendChild(row);
+    }
+  }
+
+  async _persistStorage() {
+    const granted = await LibraryStorage.persist();
+    Toast.show(granted ? 'Library protected from automatic cleanup' : 'The browser declined — try again after using InkFlow more');
+    await this._renderStorage();
+  }
+
+  /* Drop the blob, keep metadata, cover, progress & bookmarks */
+  async _offload(comic) {
+    const blob = await DB.getFile(comic.id);
+    // The fingerprint is how the file is recognised when it comes back
+    if (blob && !comic.hash) comic.hash = await fingerprint(blob);
+
+    comic.offloaded = true;
+    await DB.saveComic(comic);
+    await DB.deleteFile(comic.id);
+    await this.refresh();
+    await this._renderStorage();
+    Toast.show(`Offloaded "${comic.title}" · freed ${formatBytes(comic.size || 0)}`);
+  }
+
+  _reattach(comic) {
+    this._reattachComic = comic;
+    document.getElementById('reattachInput').click();
+  }
+
+  async _onReattachChosen(e) {
+    const file  = e.target.files[0];
+    const comic = this._reattachComic;
+    e.target.value = '';
+    this._reattachComic = null;
+    if (!file || !comic) return;
+
+    const matches = comic.hash
+      ? await fingerprint(file) === comic.hash
+      : file.size === comic.size;
+    if (!matches) {
+      Toast.show(`That file isn't "${comic.title}"`);
+      return;
+    }
+
+    try {
+      await this._attachFile(comic, file);
+      Toast.show(`Re-attached "${comic.title}"`);
+    } catch (err) {
+      console.error('Re-attach failed', err);
+      Toast.show(LibraryStorage.isQuotaError(err)
+        ? 'Storage full — offload or delete comics to make room'
+        : `Couldn't re-attach "${comic.title}"`);
+    }
+    await this.refresh();
+    if (this._sheet?.id === 'storageSheet') await this._renderStorage();
+  }
+
+  async _attachFile(comic, file) {
+    await LibraryStorage.ensureRoom(file.size);
+    await DB.saveFile(comic.id, file);
+    delete comic.offloaded;
+    await DB.saveComic(comic);
+    return comic;
+  }
+
+  /* ── Linked folders ── */
+  async _openFolders() {
+    await this._renderFolders();
+    this._openSheet('folderMenu');
+  }
+
+  async _renderFolders() {
+    const list    = document.getElementById('folderList');
+    const folders = Folders.supported ? await DB.getFolders() : [];
+    document.getElementById('folderHint').classList.toggle('hidden', Folders.supported);
+    list.innerHTML = '';
+
+    for (const folder of folders) {
+      const count = this._comics.filter(c => c.source?.folderId === folder.id).length;
+      const row   = document.createElement('div');
+      row.className = 'folder-item';
+      row.innerHTML = `
+        <svg class="folder-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+        </svg>
+        <div class="folder-info">
+          <span class="folder-name"></span>
+          <span class="folder-meta"></span>
+        </div>
+        <button class="folder-btn" data-action="scan" aria-label="Rescan folder">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+          </svg>
+        </button>
+        <button class="folder-btn" data-action="unlink" aria-label="Unlink folder">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      `;
+      row.querySelector('.folder-name').textContent = folder.name;
+      row.querySelector('.folder-meta').textContent =
+        `${count} comic${count === 1 ? '' : 's'} · ` +
+        (folder.lastScan ? `scanned ${new Date(folder.lastScan).toLocaleDateString()}` : 'not scanned yet');
+
+      row.querySelector('[data-action="scan"]').addEventListener('click', () => {
+        this._closeSheet();
+        this.syncFolder(folder, true);
+      });
+      row.querySelector('[data-action="unlink"]').addEventListener('click', () => this._unlinkFolder(folder));
+      list.appendChild(row);
+    }
+  }
+
+  async _addFolder() {
+    this._closeSheet();
+    if (!Folders.supported) {
+      document.getElementById('folderInput').click();
+      return;
+    }
+
+    let folder;
+    try {
+      folder = await Folders.pick();
+    } catch (err) {
+      if (err.name !== 'AbortError') Toast.show(`Couldn't open folder: ${err.message}`);
+      return;
+    }
+    await this.syncFolder(folder, true);
+  }
+
+  /**
+   * Bring the library in line with a linked folder: import new files,
+   * replace changed ones (keeping progress), flag removed ones as missing.
+   * Nothing is deleted: a file that was renamed, moved or is briefly
+   * unreachable keeps its comic, progress and bookmarks, and a moved file
+   * is re-linked by fingerprint when the scan finds it again.
+   * `interactive` runs come from a tap — they may ask for permission
+   * and always report back; background runs only speak up on changes.
+   */
+  async syncFolder(folder, interactive = false) {
+    let progress = null;
+    let diff;
+    let imported = 0;
+    let missing  = 0;
+    try {
+      if (await Folders.permission(folder, interactive) !== 'granted') {
+        if (interactive) Toast.show(`No access to "${folder.name}"`);
+        return;
+      }
+
+      progress = interactive ? Toast.progress(`Scanning "${folder.name}"…`) : null;
+      diff     = await Folders.diff(folder, this._comics);
+      const total = diff.added.length + diff.changed.length;
+      let   done  = 0;
+
+      for (const entry of diff.added) {
+        progress?.update(`Importing ${++done} of ${total}…`);
+
+        // Already in the library (picked by hand earlier) — link it instead
+        const hash = await fingerprint(entry.file);
+        const twin = await this._findDuplicate(hash, entry.file.size);
+        if (twin) {
+          // Moved or renamed inside this folder — follow it rather than flag it missing
+          const moved = diff.removed.indexOf(twin);
+          if (moved !== -1) diff.removed.splice(moved, 1);
+          if (!twin.source || twin.missing || moved !== -1) {
+            twin.source = Folders.source(folder, entry);
+            delete twin.missing;
+          }
+          if (twin.offloaded) await this._attachFile(twin, entry.file);
+          else await DB.saveComic(twin);
+          continue;
+        }
+
+        await this._importFile(entry.file, PageSource.detectFormat(entry.file), {
+          ...Folders.describe(entry),
+          hash,
+          source: Folders.source(folder, entry),
+        });
+        imported++;
+      }
+      for (const entry of diff.changed) {
+        progress?.update(`Updating ${++done} of ${total}…`);
+        await this._replaceFile(entry.comic, entry.file, { source: Folders.source(folder, entry) });
+      }
+      for (const comic of diff.returned) {
+        delete comic.missing;
+        await DB.saveComic(comic);
+      }
+      // The library keeps its own copy — the user decides whether to delete it
+      for (const comic of diff.removed) {
+        if (comic.missing) continue;
+        comic.missing = true;
+        await DB.saveComic(comic);
+        missing++;
+      }
+
+      folder.lastScan = Date.now();
+      await DB.saveFolder(folder);
+    } catch (err) {
+      console.error('Folder scan failed', err);
+      Toast.show(`Couldn't scan "${folder.name}": ${err.message}`);
+      return;
+    } finally {
+      progress?.done();
+      // Nothing has changed until the folder was read
+      if (diff) await this.refresh();
+    }
+
+    const parts = [];
+    if (imported)            parts.push(`${imported} added`);
+    if (diff.changed.length) parts.push(`${diff.changed.length} updated`);
+    if (missing)             parts.push(`${missing} missing`);
+    if (parts.length)     Toast.show(`${folder.name}: ${parts.join(' · ')}`);
+    else if (interactive) Toast.show(`${folder.name} is up to date`);
+  }
+
+  /* On launch — rescan folders we still have access to, without prompting */
+  async syncFolders() {
+    if (!Folders.supported) return;
+    for (const folder of await DB.getFolders()) {
+      await this.syncFolder(folder);
+    }
+  }
+
+  async _unlinkFolder(folder) {
+    // Its comics stay in the library, they just stop following the folder
+    for (const comic of this._comics.filter(c => c.source?.folderId === folder.id)) {
+      delete comic.source;
+      await DB.saveComic(comic);
+    }
+    await DB.deleteFolder(folder.id);
+    await this.refresh();
+    await this._renderFolders();
+    Toast.show(`Unlinked "${folder.name}"`);
+  }
+
+  /* No File System Access — one-off import of a picked directory, no sync */
+  async _onFolderChosen(e) {
+    const files = [...e.target.files].filter(f => PageSource.detectFormat(f));
+    e.target.value = '';
+    if (!files.length) {
+      Toast.show('No PDF or CBZ files in that folder');
+      return;
+    }
+
+    // webkitRelativePath is "Picked/Sub/file.cbz" — Sub names the series
+    await this.importFiles(files, (file) => {
+      const parts = file.webkitRelativePath.split('/');
+      return Folders.describe({ dir: parts.length > 2 ? parts.at(-2) : '', file });
+    });
+  }
+
+  async _exportBackup(includeFiles) {
+    this._closeSheet();
+    Toast.show(includeFiles ? 'Preparing full backup…' : 'Preparing metadata backup…');
+
+    try {
+      const blob = await Backup.export({ includeFiles });
+      const date = new Date().toISOString().slice(0, 10);
+      const a = document.createElement('a');
+      a.href     = URL.createObjectURL(blob);
+      a.download = `inkflow-backup-${date}${includeFiles ? '' : '-metadata'}.zip`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+    } catch (err) {
+      console.error('Backup export failed', err);
+      Toast.show(`Backup failed: ${err.message}`);
+    }
+  }
+
+  async _onBackupChosen(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    Toast.show('Restoring backup…');
+    try {
+      const { added, skipped } = await Backup.import(file);
+      await this.refresh();
+      Toast.show(`Restored ${added} comic${added === 1 ? '' : 's'}` +
+        (skipped ? ` · ${skipped} already in library` : ''));
+    } catch (err) {
+      console.error('Backup import failed', err);
+      Toast.show(err.message);
+    }
+  }
+
   show() {
     this.el.classList.remove('hidden');
     this.el.classList.add('entering');
@@ -1178,16 +4585,26 @@ class Library {
 const App = {
   library: null,
   reader:  null,
+  _ready:  null,          // resolves once the library is on screen
+
+  _waitingWorker: null,   // installed SW waiting for the user to accept
+  _updateToast:   null,
+  _reloadOnClose: false,  // new SW took over mid-read; restart after closing
 
   async init() {
-    // Set PDF.js worker
-    pdfjsLib.GlobalWorkerOptions.workerSrc =
-      'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    // Set PDF.js worker (bundled, see assets.js)
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS.worker;
+    if (pdfjsLib.version !== PDFJS.version) {
+      console.warn(`[InkFlow] PDF.js ${pdfjsLib.version} loaded, assets.js expects ${PDFJS.version}`);
+    }
 
     Toast.init();
 
     // Init IndexedDB
-    await DB.init();
+    await DB.init({
+      onBlocked:       () => Toast.show('Close other InkFlow tabs to finish updating', 5000),
+      onVersionChange: () => this._onDbReplaced(),
+    });
 
     // Init components
     this.library = new Library();
@@ -1197,20 +4614,30 @@ const App = {
     this._registerSW();
 
     // Simulate brief load (splash), then enter library
-    setTimeout(async () => {
+    this._ready = new Promise((resolve) => setTimeout(async () => {
       const splash = document.getElementById('splash');
       splash.classList.add('fade-out');
 
       await this.library.refresh();
       this.library.show();
+      resolve();
+
+      // Pick up changes made to linked folders since last time
+      this.library.syncFolders()
+        .catch(err => console.warn('Folder sync failed', err));
 
       setTimeout(() => splash.remove(), 500);
-    }, 1600);
+    }, 1600));
+
+    // Comics opened from the OS or shared from another app
+    this._initLaunchHandlers();
 
     // Handle Android back button
-    window.addEventListener('popstate', () => {
-      if (!this.reader.el.classList.contains('hidden')) {
+    window.addEventListener('popstate', (e) => {
+      if (this.isReading()) {
         this.closeReader();
+      } else if (!e.state?.series) {
+        this.library.closeSeries();
       }
     });
   },
@@ -1219,10 +4646,75 @@ const App = {
     // Push state for back button handling
     history.pushState({ reading: true }, '');
 
+    // No update prompt over the page being read
+    this._updateToast?.dismiss();
+    this._updateToast = null;
+
     this.library.hide();
     await this.reader.open(comic);
   },
 
+  /* File Handling (launchQueue) and the share target inbox (service-worker.js) */
+  _initLaunchHandlers() {
+    if ('launchQueue' in window) {
+      launchQueue.setConsumer(async (params) => {
+        if (!params.files?.length) return;
+        try {
+          const files = await Promise.all(params.files.map(handle => handle.getFile()));
+          await this._importAndOpen(files);
+        } catch (err) {
+          console.error('[InkFlow] Launch files failed', err);
+          Toast.show(`Couldn't open file: ${err.message}`);
+        }
+      });
+    }
+
+    if (new URLSearchParams(location.search).has('shared')) {
+      // Drop the flag so a reload doesn't look for the files again
+      history.replaceState(null, '', location.pathname);
+      this._takeSharedFiles()
+        .then(files => files.length && this._importAndOpen(files))
+        .catch((err) => {
+          console.error('[InkFlow] Shared files failed', err);
+          Toast.show(`Couldn't open shared file: ${err.message}`);
+        });
+    }
+  },
+
+  /* Drain the inbox the SW filled from the share POST */
+  async _takeSharedFiles() {
+    const inbox = await caches.open(SHARE_INBOX);
+    const files = [];
+    for (const req of await inbox.keys()) {
+      const res  = await inbox.match(req);
+      const name = decodeURIComponent(res.headers.get('X-Filename') || 'Shared comic');
+      files.push(new File([await res.blob()], name, { type: res.headers.get('Content-Type') || '' }));
+      await inbox.delete(req);
+    }
+    return files;
+  },
+
+  async _importAndOpen(files) {
+    await this._ready;
+    if (this.isReading()) {
+      this.closeReader();
+      await new Promise(r => setTimeout(r, 450));   // let the exit animation finish
+    }
+
+    const added = await this.library.importFiles(files);
+    if (added.length) this.openReader(added[0]);
+  },
+
+  isReading() {
+    return this.reader.isOpen;
+  },
+
+  /* Continue into another comic (next volume) without leaving the reader */
+  async switchComic(comic) {
+    await this.reader.unload();
+    await this.reader.open(comic);
+  },
+
   closeReader() {
     this.reader.close();
     this.library.refresh().then(() => this.library.show());
@@ -1231,14 +4723,75 @@ const App = {
     if (history.state?.reading) {
       history.back();
     }
+
+    if (this._reloadOnClose) setTimeout(() => location.reload(), 450);
+    else this._promptUpdate();
   },
 
   _registerSW() {
-    if ('serviceWorker' in navigator) {
-      navigator.serviceWorker.register('./service-worker.js', { scope: './' })
-        .then(() => console.log('[InkFlow] SW registered'))
-        .catch(err => console.warn('[InkFlow] SW registration failed:', err));
-    }
+    if (!('serviceWorker' in navigator)) return;
+    const sw = navigator.serviceWorker;
+
+    sw.register('./service-worker.js', { scope: './' })
+      .then((reg) => {
+        console.log('[InkFlow] SW registered');
+
+        // A new version installs in the background, then waits for us
+        if (reg.waiting && sw.controller) this._onUpdateReady(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+          const worker = reg.installing;
+          worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && sw.controller) this._onUpdateReady(worker);
+          });
+        });
+
+        // Check for a release whenever the app returns to the foreground
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'visible') reg.update().catch(() => {});
+        });
+      })
+      .catch(err => console.warn('[InkFlow] SW registration failed:', err));
+
+    sw.addEventListener('message', (e) => {
+      // The waiting worker checks every tab before it activates
+      if (e.data?.type === 'IS_READING') {
+        e.ports[0]?.postMessage({ reading: this.isReading() });
+      }
+      if (e.data?.type === 'UPDATE_DEFERRED') {
+        Toast.show('A comic is open in another tab — update after closing it', 3500);
+        this._promptUpdate();
+      }
+    });
+
+    // The new worker took over — restart on its shell. Skipped for the
+    // very first install, where clients.claim() also fires this event.
+    let controller = sw.controller;
+    sw.addEventListener('controllerchange', () => {
+      const first = !controller;
+      controller  = sw.controller;
+      if (first) return;
+      if (this.isReading()) this._reloadOnClose = true;
+      else location.reload();
+    });
+  },
+
+  /* A newer InkFlow in another tab upgraded the database; this copy can't use it */
+  _onDbReplaced() {
+    this._updateToast?.dismiss();
+    this._updateToast = Toast.action('InkFlow was updated in another tab', 'Reload', () => location.reload());
+  },
+
+  _onUpdateReady(worker) {
+    this._waitingWorker = worker;
+    this._promptUpdate();
+  },
+
+  _promptUpdate() {
+    if (!this._waitingWorker || this._updateToast || this.isReading()) return;
+    this._updateToast = Toast.action('A new version of InkFlow is ready', 'Reload', () => {
+      this._updateToast = null;
+      this._waitingWorker?.postMessage({ type: 'SKIP_WAITING' });
+    });
   }
 };
 
@@ -0,0 +1,96 @@
+/**
+ * assets.js — Asset manifest, shared by the page and the service worker
+ * (importScripts) so both agree on what to load and precache.
+ *
+ * ASSET_HASH is a content hash of every shell file and the service worker,
+ * written by `npm run stamp` (scripts/stamp-assets.js) — run it after any
+ * change to them; `npm test` fails while it is stale. The SW caches under
+ * a name built from it, and since this file is imported by the SW, a new
+ * hash also makes the browser install the new SW. That copy lands alongside
+ * the old one; the app then offers a reload (see App._registerSW) and the
+ * old cache is dropped on activate.
+ *
+ * PDF.js lives in vendor/pdfjs/ (copied from the pdfjs-dist npm package:
+ * build/pdf.min.js, build/pdf.worker.min.js, cmaps/, standard_fonts/).
+ * To upgrade, replace those files and bump PDFJS_VERSION.
+ */
+
+const APP_VERSION = '1.2.0';
+const ASSET_HASH  = 'dd73e6711169';   // generated — see above
+
+/* Cache the SW parks share-target files in until the page imports them */
+const SHARE_INBOX = 'shared-files';
+
+/* App shell — everything index.html needs to start offline */
+const APP_ASSETS = [
+  './',
+  './index.html',
+  './styles.css',
+  './app.js',
+  './db.js',
+  './gestures.js',
+  './zip.js',
+  './render-worker.js',
+  './assets.js',
+  './manifest.json',
+  './icon-192.svg',
+  './icon-512.svg',
+];
+
+const PDFJS_VERSION = '3.11.174';
+
+const PDFJS = {
+  version:             PDFJS_VERSION,
+  lib:                 './vendor/pdfjs/pdf.min.js',
+  worker:              './vendor/pdfjs/pdf.worker.min.js',
+  cMapUrl:             './vendor/pdfjs/cmaps/',
+  standardFontDataUrl: './vendor/pdfjs/standard_fonts/',
+};
+
+/* Packed character maps (CJK and other non-Latin text) */
+const PDFJS_CMAPS = [
+  '78-EUC-H', '78-EUC-V', '78-H', '78-RKSJ-H', '78-RKSJ-V', '78-V', '78ms-RKSJ-H',
+  '78ms-RKSJ-V', '83pv-RKSJ-H', '90ms-RKSJ-H', '90ms-RKSJ-V', '90msp-RKSJ-H', '90msp-RKSJ-V',
+  '90pv-RKSJ-H', '90pv-RKSJ-V', 'Add-H', 'Add-RKSJ-H', 'Add-RKSJ-V', 'Add-V', 'Adobe-CNS1-0',
+  'Adobe-CNS1-1', 'Adobe-CNS1-2', 'Adobe-CNS1-3', 'Adobe-CNS1-4', 'Adobe-CNS1-5',
+  'Adobe-CNS1-6', 'Adobe-CNS1-UCS2', 'Adobe-GB1-0', 'Adobe-GB1-1', 'Adobe-GB1-2', 'Adobe-GB1-3',
+  'Adobe-GB1-4', 'Adobe-GB1-5', 'Adobe-GB1-UCS2', 'Adobe-Japan1-0', 'Adobe-Japan1-1',
+  'Adobe-Japan1-2', 'Adobe-Japan1-3', 'Adobe-Japan1-4', 'Adobe-Japan1-5', 'Adobe-Japan1-6',
+  'Adobe-Japan1-UCS2', 'Adobe-Korea1-0', 'Adobe-Korea1-1', 'Adobe-Korea1-2',
+  'Adobe-Korea1-UCS2', 'B5-H', 'B5-V', 'B5pc-H', 'B5pc-V', 'CNS-EUC-H', 'CNS-EUC-V', 'CNS1-H',
+  'CNS1-V', 'CNS2-H', 'CNS2-V', 'ETHK-B5-H', 'ETHK-B5-V', 'ETen-B5-H', 'ETen-B5-V',
+  'ETenms-B5-H', 'ETenms-B5-V', 'EUC-H', 'EUC-V', 'Ext-H', 'Ext-RKSJ-H', 'Ext-RKSJ-V', 'Ext-V',
+  'GB-EUC-H', 'GB-EUC-V', 'GB-H', 'GB-V', 'GBK-EUC-H', 'GBK-EUC-V', 'GBK2K-H', 'GBK2K-V',
+  'GBKp-EUC-H', 'GBKp-EUC-V', 'GBT-EUC-H', 'GBT-EUC-V', 'GBT-H', 'GBT-V', 'GBTpc-EUC-H',
+  'GBTpc-EUC-V', 'GBpc-EUC-H', 'GBpc-EUC-V', 'H', 'HKdla-B5-H', 'HKdla-B5-V', 'HKdlb-B5-H',
+  'HKdlb-B5-V', 'HKgccs-B5-H', 'HKgccs-B5-V', 'HKm314-B5-H', 'HKm314-B5-V', 'HKm471-B5-H',
+  'HKm471-B5-V', 'HKscs-B5-H', 'HKscs-B5-V', 'Hankaku', 'Hiragana', 'KSC-EUC-H', 'KSC-EUC-V',
+  'KSC-H', 'KSC-Johab-H', 'KSC-Johab-V', 'KSC-V', 'KSCms-UHC-H', 'KSCms-UHC-HW-H',
+  'KSCms-UHC-HW-V', 'KSCms-UHC-V', 'KSCpc-EUC-H', 'KSCpc-EUC-V', 'Katakana', 'NWP-H', 'NWP-V',
+  'RKSJ-H', 'RKSJ-V', 'Roman', 'UniCNS-UCS2-H', 'UniCNS-UCS2-V', 'UniCNS-UTF16-H',
+  'UniCNS-UTF16-V', 'UniCNS-UTF32-H', 'UniCNS-UTF32-V', 'UniCNS-UTF8-H', 'UniCNS-UTF8-V',
+  'UniGB-UCS2-H', 'UniGB-UCS2-V', 'UniGB-UTF16-H', 'UniGB-UTF16-V', 'UniGB-UTF32-H',
+  'UniGB-UTF32-V', 'UniGB-UTF8-H', 'UniGB-UTF8-V', 'UniJIS-UCS2-H', 'UniJIS-UCS2-HW-H',
+  'UniJIS-UCS2-HW-V', 'UniJIS-UCS2-V', 'UniJIS-UTF16-H', 'UniJIS-UTF16-V', 'UniJIS-UTF32-H',
+  'UniJIS-UTF32-V', 'UniJIS-UTF8-H', 'UniJIS-UTF8-V', 'UniJIS2004-UTF16-H',
+  'UniJIS2004-UTF16-V', 'UniJIS2004-UTF32-H', 'UniJIS2004-UTF32-V', 'UniJIS2004-UTF8-H',
+  'UniJIS2004-UTF8-V', 'UniJISPro-UCS2-HW-V', 'UniJISPro-UCS2-V', 'UniJISPro-UTF8-V',
+  'UniJISX0213-UTF32-H', 'UniJISX0213-UTF32-V', 'UniJISX02132004-UTF32-H',
+  'UniJISX02132004-UTF32-V', 'UniKS-UCS2-H', 'UniKS-UCS2-V', 'UniKS-UTF16-H', 'UniKS-UTF16-V',
+  'UniKS-UTF32-H', 'UniKS-UTF32-V', 'UniKS-UTF8-H', 'UniKS-UTF8-V', 'V', 'WP-Symbol'
+];
+
+/* Fonts for PDFs that reference the 14 standard fonts without embedding them */
+const PDFJS_FONTS = [
+  'FoxitDingbats.pfb', 'FoxitFixed.pfb', 'FoxitFixedBold.pfb', 'FoxitFixedBoldItalic.pfb',
+  'FoxitFixedItalic.pfb', 'FoxitSerif.pfb', 'FoxitSerifBold.pfb', 'FoxitSerifBoldItalic.pfb',
+  'FoxitSerifItalic.pfb', 'FoxitSymbol.pfb', 'LiberationSans-Bold.ttf',
+  'LiberationSans-BoldItalic.ttf', 'LiberationSans-Italic.ttf', 'LiberationSans-Regular.ttf'
+];
+
+const PDFJS_ASSETS = [
+  PDFJS.lib,
+  PDFJS.worker,
+  ...PDFJS_CMAPS.map(name => `${PDFJS.cMapUrl}${name}.bcmap`),
+  ...PDFJS_FONTS.map(name => `${PDFJS.standardFontDataUrl}${name}`),
+];
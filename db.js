@@ -1,41 +1,115 @@
 /**
  * db.js — IndexedDB abstraction for InkFlow
- * Stores PDF blobs + reading metadata
+ * Stores comic file blobs (PDF / CBZ) + reading metadata
  *
- * Schema:
- *   comics store: { id, title, size, addedAt, coverDataUrl }
+ * Schema (current version — see MIGRATIONS for how older databases get here):
+ *   comics store: { id, title, format ('pdf' | 'cbz'), size, addedAt, coverDataUrl,
+ *                   author?, year?, language?, description?,
+ *                   hash,                         (content fingerprint, duplicate detection)
+ *                   pages?,                       (page count, once known)
+ *                   offloaded?,                   (blob removed to save space, see files store)
+ *                   missing?,                     (gone from its linked folder; the copy here stays)
+ *                   tags?, favorite?,             (user organisation)
+ *                   collections?,                 ([collectionId], v6 multiEntry index)
+ *                   series?, volume?, chapter?,   (manual overrides, else parsed from title)
+ *                   source? { folderId, path, size, lastModified } }  (imported from a linked folder)
  *   files  store: { id (same as comic id), blob }
- *   progress store: { id, currentPage, totalPages, lastRead, mode }
+ *   progress store: { id, currentPage, lastPage (last page on screen, spreads),
+ *                     totalPages, lastRead, mode, direction,
+ *                     layout, coverAlone, spreadShift, fit, webtoon, crop, offset }
+ *   bookmarks store: { id, comicId, page, note, createdAt, thumbDataUrl }  (v2)
+ *   thumbs store: { id ('<comicId>:<page>'), comicId, page, dataUrl }  (v3, page overview cache)
+ *   folders store: { id, name, handle (FileSystemDirectoryHandle), addedAt, lastScan }  (v4)
+ *   collections store: { id, name, createdAt }  (v6, membership lives on the comic)
+ *   pageSizes store: { id (comic id), sizes: [{ width, height }] }  (v7, index = page - 1)
  */
 
 const DB = (() => {
   const DB_NAME = 'inkflow_db';
-  const DB_VER  = 1;
   let _db = null;
 
-  function open() {
+  /**
+   * Ordered schema history. Each step runs once, inside the versionchange
+   * transaction, for databases older than its version — so a v1 library
+   * replays every step and a current one none. Never edit a shipped step;
+   * append a new one instead.
+   *   up(db, t) — db: IDBDatabase, t: the upgrade IDBTransaction
+   */
+  const MIGRATIONS = [
+    { version: 1, up(db) {
+      db.createObjectStore('comics', { keyPath: 'id' }).createIndex('addedAt', 'addedAt');
+      db.createObjectStore('files', { keyPath: 'id' });
+      db.createObjectStore('progress', { keyPath: 'id' });
+    } },
+    { version: 2, up(db) {
+      db.createObjectStore('bookmarks', { keyPath: 'id' }).createIndex('comicId', 'comicId');
+    } },
+    { version: 3, up(db) {
+      db.createObjectStore('thumbs', { keyPath: 'id' }).createIndex('comicId', 'comicId');
+    } },
+    { version: 4, up(db) {
+      db.createObjectStore('folders', { keyPath: 'id' });
+    } },
+    // Comics imported before CBZ support have no format
+    { version: 5, up(db, t) {
+      eachRecord(t.objectStore('comics'), (comic) => {
+        if (comic.format) return;
+        comic.format = 'pdf';
+        return comic;
+      });
+    } },
+    { version: 6, up(db, t) {
+      db.createObjectStore('collections', { keyPath: 'id' });
+      t.objectStore('comics').createIndex('collections', 'collections', { multiEntry: true });
+    } },
+    { version: 7, up(db) {
+      db.createObjectStore('pageSizes', { keyPath: 'id' });
+    } },
+  ];
+
+  const DB_VER = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  /* Walk a store inside an upgrade; write back whatever fn returns */
+  function eachRecord(store, fn) {
+    store.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const next = fn(cursor.value);
+      if (next) cursor.update(next);
+      cursor.continue();
+    };
+  }
+
+  function migrate(db, t, from) {
+    for (const step of MIGRATIONS) {
+      if (step.version > from) step.up(db, t);
+    }
+  }
+
+  /**
+   * handlers.onBlocked       — another tab holds an older version open
+   * handlers.onVersionChange — another tab wants to upgrade; our connection is closed
+   */
+  function open(handlers = {}) {
     return new Promise((resolve, reject) => {
       if (_db) return resolve(_db);
 
       const req = indexedDB.open(DB_NAME, DB_VER);
 
       req.onupgradeneeded = (e) => {
-        const db = e.target.result;
-
-        if (!db.objectStoreNames.contains('comics')) {
-          const comicsStore = db.createObjectStore('comics', { keyPath: 'id' });
-          comicsStore.createIndex('addedAt', 'addedAt');
-        }
-        if (!db.objectStoreNames.contains('files')) {
-          db.createObjectStore('files', { keyPath: 'id' });
-        }
-        if (!db.objectStoreNames.contains('progress')) {
-          db.createObjectStore('progress', { keyPath: 'id' });
-        }
+        migrate(req.result, req.transaction, e.oldVersion);
       };
 
-      req.onsuccess = (e) => {
-        _db = e.target.result;
+      // Upgrade waits until the other tab lets go; it proceeds by itself after that
+      req.onblocked = () => handlers.onBlocked?.();
+
+      req.onsuccess = () => {
+        _db = req.result;
+        _db.onversionchange = () => {
+          _db.close();
+          _db = null;
+          handlers.onVersionChange?.();
+        };
         resolve(_db);
       };
 
@@ -43,7 +117,10 @@ const DB = (() => {
     });
   }
 
+  /* Throws inside each helper's Promise executor, so callers get a rejection */
   function tx(stores, mode = 'readonly') {
+    // Closed for another tab's upgrade — this copy can't read the new schema
+    if (!_db) throw new Error('Database closed — reload InkFlow');
     return _db.transaction(stores, mode);
   }
 
@@ -67,8 +144,10 @@ const DB = (() => {
     return new Promise((resolve, reject) => {
       const t = tx(store, 'readwrite');
       const req = t.objectStore(store).put(value);
-      req.onsuccess = () => resolve(req.result);
-      req.onerror  = () => reject(req.error);
+      // Quota errors abort the transaction after the request itself succeeded,
+      // so only a committed transaction counts as saved
+      t.oncomplete = () => resolve(req.result);
+      t.onabort    = () => reject(t.error || req.error);
     });
   }
 
@@ -81,10 +160,33 @@ const DB = (() => {
     });
   }
 
+  function getAllByIndex(store, index, key) {
+    return new Promise((resolve, reject) => {
+      const req = tx(store).objectStore(store).index(index).getAll(key);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror  = () => reject(req.error);
+    });
+  }
+
+  function delByIndex(store, index, key) {
+    return new Promise((resolve, reject) => {
+      const t = tx([store], 'readwrite');
+      const req = t.objectStore(store).index(index).openKeyCursor(key);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        t.objectStore(store).delete(cursor.primaryKey);
+        cursor.continue();
+      };
+      t.oncomplete = () => resolve();
+      t.onerror    = () => reject(t.error);
+    });
+  }
+
   return {
-    /* init — call once on startup */
-    async init() {
-      await open();
+    /* init — call once on startup, see open() for handlers */
+    async init(handlers) {
+      await open(handlers);
     },
 
     /* Comics metadata */
@@ -100,9 +202,12 @@ const DB = (() => {
       await del('comics', id);
       await del('files', id);
       await del('progress', id);
+      await delByIndex('bookmarks', 'comicId', id);
+      await delByIndex('thumbs', 'comicId', id);
+      await del('pageSizes', id);
     },
 
-    /* PDF file blob */
+    /* Comic file blob */
     async saveFile(id, blob) {
       await put('files', { id, blob });
     },
@@ -112,6 +217,10 @@ const DB = (() => {
       return rec ? rec.blob : null;
     },
 
+    async deleteFile(id) {
+      await del('files', id);
+    },
+
     /* Reading progress */
     async saveProgress(id, data) {
       await put('progress', { id, ...data, lastRead: Date.now() });
@@ -125,8 +234,109 @@ const DB = (() => {
       return getAll('progress');
     },
 
+    /* Write a progress record as-is, keeping its lastRead (backup restore) */
+    async restoreProgress(record) {
+      await put('progress', record);
+    },
+
     async resetProgress(id) {
       await del('progress', id);
+    },
+
+    /* Bookmarks */
+    async saveBookmark(bookmark) {
+      await put('bookmarks', bookmark);
+    },
+
+    async getBookmarks(comicId) {
+      const list = await getAllByIndex('bookmarks', 'comicId', comicId);
+      return list.sort((a, b) => a.page - b.page || a.createdAt - b.createdAt);
+    },
+
+    async getAllBookmarks() {
+      return getAll('bookmarks');
+    },
+
+    async deleteBookmark(id) {
+      await del('bookmarks', id);
+    },
+
+    /* Page thumbnails (overview grid cache) */
+    async saveThumb(comicId, page, dataUrl) {
+      await put('thumbs', { id: `${comicId}:${page}`, comicId, page, dataUrl });
+    },
+
+    /* Map<page, dataUrl> */
+    async getThumbs(comicId) {
+      const list = await getAllByIndex('thumbs', 'comicId', comicId);
+      return new Map(list.map(t => [t.page, t.dataUrl]));
+    },
+
+    /* Pages changed (file replaced) — drop the stale cache */
+    async deleteThumbs(comicId) {
+      await delByIndex('thumbs', 'comicId', comicId);
+    },
+
+    /* Intrinsic page sizes, measured on first open */
+    async savePageSizes(id, sizes) {
+      await put('pageSizes', { id, sizes });
+    },
+
+    async getPageSizes(id) {
+      const rec = await get('pageSizes', id);
+      return rec ? rec.sizes : null;
+    },
+
+    async deletePageSizes(id) {
+      await del('pageSizes', id);
+    },
+
+    /* Linked library folders */
+    async saveFolder(folder) {
+      await put('folders', folder);
+    },
+
+    async getFolders() {
+      return getAll('folders');
+    },
+
+    async deleteFolder(id) {
+      await del('folders', id);
+    },
+
+    /* Named collections */
+    async saveCollection(collection) {
+      await put('collections', collection);
+    },
+
+    async getCollections() {
+      return getAll('collections');
+    },
+
+    /* Drops the collection and takes it off every comic in it; the comics stay */
+    deleteCollection(id) {
+      return new Promise((resolve, reject) => {
+        const t = tx(['collections', 'comics'], 'readwrite');
+        t.objectStore('collections').delete(id);
+        const req = t.objectStore('comics').index('collections').openCursor(id);
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return;
+          const comic = cursor.value;
+          comic.collections = comic.collections.filter(c => c !== id);
+          cursor.update(comic);
+          cursor.continue();
+        };
+        t.oncomplete = () => resolve();
+        t.onerror    = () => reject(t.error);
+      });
+    },
+
+    /* Map<comicId, count> for library badges */
+    async getBookmarkCounts() {
+      const counts = new Map();
+      (await getAll('bookmarks')).forEach(b => counts.set(b.comicId, (counts.get(b.comicId) || 0) + 1));
+      return counts;
     }
   };
 })();
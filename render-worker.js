@@ -0,0 +1,115 @@
+/**
+ * render-worker.js — Draws PDF pages off the main thread for InkFlow
+ *
+ * Runs its own PDF.js instance against an OffscreenCanvas and hands each
+ * finished page back as a transferable ImageBitmap, so a slow page never
+ * blocks scrolling. See RenderWorker in app.js for the page side.
+ *
+ * Messages in:  { id, type: 'open',   blob }
+ *               { id, type: 'render', page, pxWidth }
+ *               { id, type: 'cancel' }            (id of a pending render)
+ * Messages out: { id, ok: true, result } | { id, ok: false, error }
+ *               render results are an ImageBitmap, or null if cancelled
+ */
+
+importScripts('./assets.js');
+// With pdfjsWorker loaded here too, PDF.js parses in this thread instead of
+// trying to spawn a nested worker it cannot (no window or document to find it)
+importScripts(PDFJS.lib, PDFJS.worker);
+
+/* PDF.js' default factories draw on document-owned canvases */
+const canvasFactory = {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset(cc, width, height) {
+    cc.canvas.width  = width;
+    cc.canvas.height = height;
+  },
+  destroy(cc) {
+    cc.canvas.width  = 0;
+    cc.canvas.height = 0;
+    cc.canvas  = null;
+    cc.context = null;
+  },
+};
+
+/* SVG filters (transfer functions) need a DOM; pages render without them */
+const filterFactory = {
+  addFilter:             () => 'none',
+  addHCMFilter:          () => 'none',
+  addHighlightHCMFilter: () => 'none',
+  destroy() {},
+};
+
+let pdfDoc = null;
+const tasks     = new Map();   // Map<id, RenderTask>
+const pending   = new Set();   // render ids received and not yet answered
+const cancelled = new Set();   // pending ids cancelled before their RenderTask existed
+
+async function open(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    pdfDoc = await pdfjsLib.getDocument({
+      url:                 new URL(url),   // a string is resolved against window.location
+      cMapUrl:             new URL(PDFJS.cMapUrl, location.href).href,
+      cMapPacked:          true,
+      standardFontDataUrl: new URL(PDFJS.standardFontDataUrl, location.href).href,
+      useWorkerFetch:      false,   // decided from document.baseURI otherwise
+      disableFontFace:     true,    // no FontFaceSet here — glyphs are drawn as paths
+      isEvalSupported:     false,
+      canvasFactory,
+      filterFactory,
+    }).promise;
+    return pdfDoc.numPages;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function render(id, pageNum, pxWidth) {
+  const page = await pdfDoc.getPage(pageNum);
+  try {
+    if (cancelled.has(id)) return null;
+    const vp0 = page.getViewport({ scale: 1 });
+    const vp  = page.getViewport({ scale: pxWidth / vp0.width });
+    const { canvas, context } = canvasFactory.create(Math.ceil(vp.width), Math.ceil(vp.height));
+
+    const task = page.render({ canvasContext: context, viewport: vp, intent: 'display' });
+    tasks.set(id, task);
+    await task.promise;
+    return canvas.transferToImageBitmap();
+  } catch (err) {
+    if (err?.name === 'RenderingCancelledException') return null;
+    throw err;
+  } finally {
+    tasks.delete(id);
+    page.cleanup();
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+
+  if (type === 'cancel') {
+    if (tasks.has(id)) tasks.get(id).cancel();
+    // Still waiting on getPage — render() bails out once it resolves
+    else if (pending.has(id)) cancelled.add(id);
+    // Otherwise already answered — the result is on its way and the page drops it
+    return;
+  }
+
+  if (type === 'render') pending.add(id);
+  try {
+    const result = type === 'open'
+      ? await open(data.blob)
+      : await render(id, data.page, data.pxWidth);
+    self.postMessage({ id, ok: true, result }, result instanceof ImageBitmap ? [result] : []);
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: String(err?.message || err) });
+  } finally {
+    pending.delete(id);
+    cancelled.delete(id);
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * stamp-assets.js — Writes ASSET_HASH in assets.js
+ *
+ * Hashes every file in APP_ASSETS plus the service worker, so any change
+ * to the shell gives the SW a new cache name (and the browser a new SW).
+ * assets.js is hashed with its own ASSET_HASH value blanked out.
+ *
+ *   node scripts/stamp-assets.js          — update assets.js
+ *   node scripts/stamp-assets.js --check  — exit 1 if it is out of date
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const ROOT       = path.join(__dirname, '..');
+const ASSETS     = path.join(ROOT, 'assets.js');
+const HASH_LINE  = /^(const ASSET_HASH\s*=\s*')([0-9a-f]*)(';)/m;
+const BLANK_HASH = '000000000000';
+
+function shellFiles(source) {
+  const ctx = {};
+  vm.runInNewContext(`${source}\nthis.APP_ASSETS = APP_ASSETS;`, ctx);
+  // './' is index.html again
+  return [...ctx.APP_ASSETS.filter(url => url !== './'), './service-worker.js'];
+}
+
+function assetHash(source) {
+  const hash = crypto.createHash('sha256');
+  for (const url of shellFiles(source)) {
+    const file = path.join(ROOT, url);
+    const data = file === ASSETS
+      ? source.replace(HASH_LINE, `$1${BLANK_HASH}$3`)
+      : fs.readFileSync(file);
+    hash.update(url).update('\0').update(data).update('\0');
+  }
+  return hash.digest('hex').slice(0, BLANK_HASH.length);
+}
+
+function main() {
+  const source  = fs.readFileSync(ASSETS, 'utf8');
+  const current = source.match(HASH_LINE)?.[2];
+  const fresh   = assetHash(source);
+
+  if (process.argv.includes('--check')) {
+    if (current !== fresh) {
+      console.error(`assets.js ASSET_HASH is ${current}, shell hashes to ${fresh} — run npm run stamp`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (current !== fresh) fs.writeFileSync(ASSETS, source.replace(HASH_LINE, `$1${fresh}$3`));
+  console.log(`ASSET_HASH ${fresh}`);
+}
+
+if (require.main === module) main();
+
+module.exports = { assetHash };
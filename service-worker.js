@@ -2,49 +2,40 @@
  * service-worker.js — InkFlow PWA Service Worker
  *
  * Strategy:
- *   - App shell (HTML/CSS/JS/fonts): Cache-first, network fallback
- *   - PDF.js CDN assets: Cache-first (these are large and immutable)
+ *   - App shell + bundled PDF.js: precached from the asset manifest
+ *     (assets.js) into one cache named after the shell's content hash,
+ *     served cache-first
  *   - PDF files (user content): NOT cached here (stored in IndexedDB by app)
+ *   - Share target: POSTed comics are parked in SHARE_INBOX, then the
+ *     app is opened with ?shared so it imports them
+ *
+ * Updates:
+ *   A new version installs next to the running one and waits. The page
+ *   shows a "new version" prompt and sends SKIP_WAITING when the user
+ *   accepts; before activating we ask every open tab whether it is
+ *   mid-read, so a comic never loses its shell (worker, cmaps) under it.
  *
  * The SW ensures the app works offline after first load.
  */
 
 'use strict';
 
-const CACHE_NAME   = 'inkflow-v1';
-const SHELL_ASSETS = [
-  './',
-  './index.html',
-  './styles.css',
-  './app.js',
-  './db.js',
-  './gestures.js',
-  './manifest.json',
-  './icon-192.svg',
-  './icon-512.svg',
-];
-
-const CDN_ASSETS = [
-  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
-];
+importScripts('./assets.js');
+
+const CACHE_NAME     = `inkflow-${APP_VERSION}-${ASSET_HASH}-pdfjs-${PDFJS_VERSION}`;
+const PRECACHE       = [...APP_ASSETS, ...PDFJS_ASSETS];
+const CLIENT_TIMEOUT = 1000;   // ms to wait for a tab to answer IS_READING
 
 /* ── Install: pre-cache shell ── */
 self.addEventListener('install', (e) => {
   e.waitUntil(
-    caches.open(CACHE_NAME).then(async (cache) => {
-      // Cache shell assets (must all succeed)
-      try { await cache.addAll(SHELL_ASSETS); } catch (err) {
-        console.warn('[SW] Shell caching partial failure:', err);
-      }
-      // Cache CDN assets individually (non-fatal if network unavailable at install)
-      for (const url of CDN_ASSETS) {
-        try { await cache.add(url); } catch (_) {}
-      }
-    })
+    // All-or-nothing: a partial shell would leave the app unable to open
+    // comics offline, so a failed fetch fails the install and it retries later.
+    // Straight from the network — a stale HTTP-cached file would outlive the new hash
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.addAll(PRECACHE.map((url) => new Request(url, { cache: 'reload' }))))
   );
-  // Activate immediately
-  self.skipWaiting();
+  // No skipWaiting() here — the page decides when to switch (see SKIP_WAITING)
 });
 
 /* ── Activate: clean old caches ── */
@@ -53,7 +44,7 @@ self.addEventListener('activate', (e) => {
     caches.keys().then((keys) =>
       Promise.all(
         keys
-          .filter((k) => k !== CACHE_NAME)
+          .filter((k) => k.startsWith('inkflow-') && k !== CACHE_NAME)
           .map((k) => caches.delete(k))
       )
     )
@@ -61,10 +52,45 @@ self.addEventListener('activate', (e) => {
   self.clients.claim();
 });
 
+/* ── Messages from the page ── */
+self.addEventListener('message', (e) => {
+  if (e.data?.type === 'SKIP_WAITING') {
+    e.waitUntil(activateUnlessReading(e.source));
+  }
+});
+
+async function activateUnlessReading(requester) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  const reading = await Promise.all(clients.map(isReading));
+
+  if (reading.some(Boolean)) {
+    requester?.postMessage({ type: 'UPDATE_DEFERRED' });
+    return;
+  }
+  await self.skipWaiting();
+}
+
+/* Ask one tab whether it has a comic open. Tabs running a build without
+   this handshake never answer, so they don't block the update forever. */
+function isReading(client) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(!!e.data?.reading);
+    client.postMessage({ type: 'IS_READING' }, [channel.port2]);
+    setTimeout(() => resolve(false), CLIENT_TIMEOUT);
+  });
+}
+
 /* ── Fetch: smart routing ── */
 self.addEventListener('fetch', (e) => {
   const url = new URL(e.request.url);
 
+  // Comics shared from another app (manifest share_target)
+  if (e.request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+    e.respondWith(receiveShare(e.request));
+    return;
+  }
+
   // Skip non-GET requests
   if (e.request.method !== 'GET') return;
 
@@ -74,37 +100,44 @@ self.addEventListener('fetch', (e) => {
   // Skip IndexedDB / chrome-extension
   if (url.protocol === 'chrome-extension:') return;
 
-  // CDN assets — cache-first, long TTL
-  if (url.host === 'cdnjs.cloudflare.com') {
-    e.respondWith(cacheFirst(e.request, true));
-    return;
-  }
-
   // App shell — cache-first, network fallback
-  e.respondWith(cacheFirst(e.request, false));
+  e.respondWith(cacheFirst(e.request));
 });
 
+/* Park the shared files for the page, then open it to pick them up */
+async function receiveShare(request) {
+  const form  = await request.formData();
+  const files = form.getAll('comics').filter((f) => f instanceof File);
+  const inbox = await caches.open(SHARE_INBOX);
+
+  await Promise.all(files.map((file, i) => inbox.put(
+    `./shared/${Date.now()}-${i}`,
+    new Response(file, {
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-Filename':   encodeURIComponent(file.name),
+      },
+    })
+  )));
+
+  return Response.redirect(new URL('./index.html?shared', self.location).href, 303);
+}
+
 /**
- * Cache-first strategy.
+ * Cache-first strategy. Cached shell files are never revalidated in the
+ * background — mixing files from two releases is what the versioned
+ * cache exists to prevent. New files arrive with the next version.
  * @param {Request} request
- * @param {boolean} updateIfFresh — if true, return cache even if network newer (CDN)
  */
-async function cacheFirst(request, updateIfFresh) {
+async function cacheFirst(request) {
   const cache  = await caches.open(CACHE_NAME);
   const cached = await cache.match(request);
-
-  if (cached) {
-    // Optionally revalidate in background (stale-while-revalidate for shell)
-    if (!updateIfFresh) {
-      fetchAndCache(request, cache).catch(() => {});
-    }
-    return cached;
-  }
+  if (cached) return cached;
 
   // Not in cache — fetch from network
   try {
     const response = await fetch(request);
-    if (response.ok) {
+    if (response.ok && new URL(request.url).origin === self.location.origin) {
       cache.put(request, response.clone());
     }
     return response;
@@ -117,11 +150,3 @@ async function cacheFirst(request, updateIfFresh) {
     throw err;
   }
 }
-
-async function fetchAndCache(request, cache) {
-  const response = await fetch(request);
-  if (response.ok) {
-    await cache.put(request, response.clone());
-  }
-  return response;
-}
@@ -0,0 +1,14 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const test   = require('node:test');
+
+const { assetHash } = require('../scripts/stamp-assets.js');
+
+test('ASSET_HASH matches the shell files (run npm run stamp)', () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'assets.js'), 'utf8');
+  const stamped = source.match(/^const ASSET_HASH\s*=\s*'([0-9a-f]*)';/m)[1];
+  assert.strictEqual(stamped, assetHash(source));
+});
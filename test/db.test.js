@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const test   = require('node:test');
+const vm     = require('node:vm');
+
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'db.js'), 'utf8');
+
+/* A fresh copy of db.js bound to its own in-memory IndexedDB */
+function loadDB(indexedDB) {
+  const ctx = { indexedDB, IDBKeyRange, console };
+  vm.runInNewContext(`${SOURCE}\nthis.DB = DB;`, ctx);
+  return ctx.DB;
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/* The schema InkFlow shipped with, before MIGRATIONS existed */
+async function v1Fixture(indexedDB) {
+  const req = indexedDB.open('inkflow_db', 1);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    db.createObjectStore('comics', { keyPath: 'id' }).createIndex('addedAt', 'addedAt');
+    db.createObjectStore('files', { keyPath: 'id' });
+    db.createObjectStore('progress', { keyPath: 'id' });
+  };
+  const db = await request(req);
+
+  const t = db.transaction(['comics', 'files', 'progress'], 'readwrite');
+  t.objectStore('comics').put({ id: 'a', title: 'Old One', size: 3, addedAt: 1 });
+  t.objectStore('comics').put({ id: 'b', title: 'Zipped', format: 'cbz', size: 4, addedAt: 2 });
+  t.objectStore('files').put({ id: 'a', blob: 'pdf-bytes' });
+  t.objectStore('progress').put({ id: 'a', currentPage: 5, totalPages: 20, lastRead: 10 });
+  await new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror    = () => reject(t.error);
+  });
+  db.close();
+}
+
+test('upgrades a v1 database through every migration', async () => {
+  const indexedDB = new IDBFactory();
+  await v1Fixture(indexedDB);
+
+  const DB = loadDB(indexedDB);
+  await DB.init();
+
+  const comics = await DB.getAllComics();
+  assert.deepStrictEqual(comics.map(c => [c.id, c.format]), [['a', 'pdf'], ['b', 'cbz']]);
+  assert.strictEqual(await DB.getFile('a'), 'pdf-bytes');
+  assert.strictEqual((await DB.getProgress('a')).currentPage, 5);
+
+  // Stores and indexes added by later versions work on the upgraded data
+  await DB.saveBookmark({ id: 'm', comicId: 'a', page: 3, createdAt: 1 });
+  assert.strictEqual((await DB.getBookmarks('a')).length, 1);
+
+  await DB.saveThumb('a', 1, 'data:thumb');
+  assert.strictEqual((await DB.getThumbs('a')).get(1), 'data:thumb');
+
+  await DB.saveFolder({ id: 'f', name: 'Comics' });
+  assert.strictEqual((await DB.getFolders()).length, 1);
+
+  await DB.saveCollection({ id: 'c', name: 'Faves', createdAt: 1 });
+  await DB.saveComic({ ...comics[0], collections: ['c'] });
+  await DB.deleteCollection('c');
+  assert.deepStrictEqual((await DB.getAllComics())[0].collections, []);
+
+  await DB.savePageSizes('a', [{ width: 600, height: 900 }]);
+  assert.deepStrictEqual(await DB.getPageSizes('a'), [{ width: 600, height: 900 }]);
+
+  await DB.deleteComic('a');
+  assert.strictEqual(await DB.getPageSizes('a'), null);
+  assert.strictEqual((await DB.getBookmarks('a')).length, 0);
+});
+
+test('an upgrade from another tab closes this connection', async () => {
+  const indexedDB = new IDBFactory();
+  const DB = loadDB(indexedDB);
+  let replaced = false;
+  await DB.init({ onVersionChange: () => { replaced = true; } });
+
+  const probe = await request(indexedDB.open('inkflow_db'));
+  probe.close();
+  const newer = await request(indexedDB.open('inkflow_db', probe.version + 1));
+  newer.close();
+
+  assert.ok(replaced);
+  await assert.rejects(DB.getAllComics(), /Database closed/);
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const test   = require('node:test');
+const vm     = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/* A one-page PDF (200×300 pt) with a single filled rectangle */
+function tinyPdf() {
+  const content = '0 0 1 rg 20 20 160 260 re f';
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 300] /Contents 4 0 R /Resources << >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const at of offsets) out += `${String(at).padStart(10, '0')} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new Blob([out], { type: 'application/pdf' });
+}
+
+class ImageBitmap {
+  constructor(width, height) {
+    this.width  = width;
+    this.height = height;
+  }
+}
+
+/* Records nothing — enough of a 2D context for PDF.js to draw into */
+function context2d() {
+  let matrix = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+  const ctx = {
+    getTransform: () => ({ ...matrix }),
+    setTransform: (a, b, c, d, e, f) => { matrix = typeof a === 'object' ? { ...a } : { a, b, c, d, e, f }; },
+    getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+    createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+  };
+  return new Proxy(ctx, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+  });
+}
+
+class OffscreenCanvas {
+  constructor(width, height) {
+    this.width  = width;
+    this.height = height;
+  }
+  getContext() { return context2d(); }
+  transferToImageBitmap() { return new ImageBitmap(this.width, this.height); }
+}
+
+/* render-worker.js in a worker-like global, talking over postMessage */
+function loadWorker() {
+  const blobs  = new Map();
+  const posted = [];
+  const ctx = {
+    console: { ...console, log() {} },   // PDF.js' own warnings
+    setTimeout, clearTimeout, queueMicrotask, structuredClone,
+    TextEncoder, TextDecoder, Blob, Response, Headers, AbortController, ReadableStream,
+    OffscreenCanvas, ImageBitmap,
+    location: new URL('http://inkflow.test/render-worker.js'),
+    onmessage: null,
+    addEventListener() {},
+    removeEventListener() {},
+    postMessage: (data) => posted.push(data),
+    importScripts: (...urls) => {
+      for (const url of urls) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, url), 'utf8'), ctx, { filename: url });
+      }
+    },
+    // Blob URLs served the way a browser would, without range support
+    URL: Object.assign(class extends URL {}, {
+      createObjectURL: (blob) => {
+        const url = `http://inkflow.test/blob/${blobs.size}`;
+        blobs.set(url, blob);
+        return url;
+      },
+      revokeObjectURL: (url) => blobs.delete(url),
+    }),
+    fetch: async (url) => new Response(blobs.get(String(url))),
+  };
+  ctx.self = ctx;
+  vm.createContext(ctx);
+  ctx.importScripts('render-worker.js');
+
+  const send = async (msg) => {
+    await ctx.self.onmessage({ data: msg });
+    return posted.find(out => out.id === msg.id);
+  };
+  return { ctx, send };
+}
+
+test('renders a page to an ImageBitmap inside the worker', async () => {
+  const { ctx, send } = loadWorker();
+  assert.ok(ctx.pdfjsWorker?.WorkerMessageHandler, 'PDF.js parses in the worker thread');
+
+  const opened = await send({ id: 1, type: 'open', blob: tinyPdf() });
+  assert.deepStrictEqual({ ...opened }, { id: 1, ok: true, result: 1 });
+
+  const drawn = await send({ id: 2, type: 'render', page: 1, pxWidth: 400 });
+  assert.ok(drawn.ok, drawn.error);
+  assert.ok(drawn.result instanceof ImageBitmap);
+  assert.strictEqual(drawn.result.width, 400);
+  assert.strictEqual(drawn.result.height, 600);
+});
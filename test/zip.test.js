@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('node:assert');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const test   = require('node:test');
+const vm     = require('node:vm');
+const zlib   = require('node:zlib');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'zip.js'), 'utf8');
+
+function loadZip() {
+  const ctx = { Blob, Response, DecompressionStream, TextEncoder, TextDecoder };
+  vm.runInNewContext(`${SOURCE}\nthis.Zip = Zip;`, ctx);
+  return ctx.Zip;
+}
+
+async function view(blob, start = 0, end = blob.size) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+function u64(dv, off) {
+  return dv.getUint32(off, true) + dv.getUint32(off + 4, true) * 0x100000000;
+}
+
+/* One deflated entry, the way a CBZ from another tool usually is */
+function deflatedArchive(name, text) {
+  const nameBytes = Buffer.from(name);
+  const data      = zlib.deflateRawSync(Buffer.from(text));
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(text.length, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+
+  const entry = Buffer.alloc(46);
+  entry.writeUInt32LE(0x02014b50, 0);
+  entry.writeUInt16LE(8, 10);
+  entry.writeUInt32LE(data.length, 20);
+  entry.writeUInt32LE(text.length, 24);
+  entry.writeUInt16LE(nameBytes.length, 28);
+
+  const dirOffset = local.length + nameBytes.length + data.length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 8);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(entry.length + nameBytes.length, 12);
+  eocd.writeUInt32LE(dirOffset, 16);
+
+  return new Blob([local, nameBytes, data, entry, nameBytes, eocd]);
+}
+
+test('reads back what it writes', async () => {
+  const Zip  = loadZip();
+  const blob = await Zip.create([
+    { name: 'library.json', data: '{"comics":[]}' },
+    { name: 'files/Ünïcode 01.cbz', data: new Blob([new Uint8Array([1, 2, 3, 4, 5])]) },
+  ]);
+
+  const archive = await Zip.open(blob);
+  assert.deepStrictEqual([...archive.entries.map(e => e.name)], ['library.json', 'files/Ünïcode 01.cbz']);
+  assert.strictEqual(await (await archive.read(archive.entries[0])).text(), '{"comics":[]}');
+
+  const bytes = new Uint8Array(await (await archive.read(archive.entries[1])).arrayBuffer());
+  assert.deepStrictEqual([...bytes], [1, 2, 3, 4, 5]);
+  assert.strictEqual((await archive.read(archive.entries[1], 2)).size, 2);
+});
+
+test('inflates deflated entries, or just their start', async () => {
+  const Zip  = loadZip();
+  const text = 'a'.repeat(200000) + 'b'.repeat(200000);
+  const archive = await Zip.open(deflatedArchive('page.txt', text));
+
+  assert.strictEqual(await (await archive.read(archive.entries[0])).text(), text);
+  const head = await archive.read(archive.entries[0], 65536);
+  assert.strictEqual(await head.text(), 'a'.repeat(65536));
+});
+
+test('writes ZIP64 end records once entries pass 65535', async () => {
+  const Zip   = loadZip();
+  const files = Array.from({ length: 0xffff + 2 }, (_, i) => ({ name: `${i}.txt`, data: String(i) }));
+  const blob  = await Zip.create(files);
+
+  // EOCD at the very end with its count maxed out, the locator right before it
+  const eocd = await view(blob, blob.size - 22);
+  assert.strictEqual(eocd.getUint32(0, true), 0x06054b50);
+  assert.strictEqual(eocd.getUint16(10, true), 0xffff);
+
+  const loc = await view(blob, blob.size - 22 - 20, blob.size - 22);
+  assert.strictEqual(loc.getUint32(0, true), 0x07064b50);
+  assert.strictEqual(loc.getUint32(16, true), 1);
+
+  // The locator points at the ZIP64 end record, which sits just before it
+  const recOffset = u64(loc, 8);
+  assert.strictEqual(recOffset, blob.size - 22 - 20 - 56);
+  const rec = await view(blob, recOffset, recOffset + 56);
+  assert.strictEqual(rec.getUint32(0, true), 0x06064b50);
+  assert.strictEqual(u64(rec, 4), 44);
+  assert.strictEqual(u64(rec, 32), files.length);
+
+  // ...and the record at the central directory, which ends where the record starts
+  const dirOffset = u64(rec, 48);
+  assert.strictEqual(dirOffset + u64(rec, 40), recOffset);
+  assert.strictEqual((await view(blob, dirOffset, dirOffset + 4)).getUint32(0, true), 0x02014b50);
+
+  const archive = await Zip.open(blob);
+  assert.strictEqual(archive.entries.length, files.length);
+  const last = archive.entries[archive.entries.length - 1];
+  assert.strictEqual(last.name, '65536.txt');
+  assert.strictEqual(await (await archive.read(last)).text(), '65536');
+});
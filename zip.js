@@ -0,0 +1,303 @@
+/**
+ * zip.js — Minimal ZIP reader/writer for InkFlow
+ *
+ * Handles:
+ *  - Central directory parsing (incl. ZIP64 archives)
+ *  - Stored (method 0) and Deflate (method 8) entries
+ *  - Writing stored archives (library backups), ZIP64 past 4 GB / 65535 entries
+ *
+ * Entries are sliced out of the Blob on demand, so opening a large
+ * CBZ never pulls the whole archive into memory.
+ * Inflation uses the native DecompressionStream API.
+ */
+
+const Zip = (() => {
+  const SIG_EOCD     = 0x06054b50;
+  const SIG_EOCD64   = 0x06064b50;
+  const SIG_LOC64    = 0x07064b50;
+  const SIG_CENTRAL  = 0x02014b50;
+  const SIG_LOCAL    = 0x04034b50;
+  const MAX_COMMENT  = 0xffff;
+  const EOCD_SIZE    = 22;
+  const MAX_16       = 0xffff;        // field values at or past these move to ZIP64 records
+  const MAX_32       = 0xffffffff;
+
+  async function readBytes(blob, start, end) {
+    return new DataView(await blob.slice(start, end).arrayBuffer());
+  }
+
+  /* DataView has no 64-bit number getter that returns a plain Number */
+  function u64(view, off) {
+    return view.getUint32(off, true) + view.getUint32(off + 4, true) * 0x100000000;
+  }
+
+  async function findDirectory(blob) {
+    // EOCD sits at the very end, followed only by an optional comment
+    const tailStart = Math.max(0, blob.size - EOCD_SIZE - MAX_COMMENT);
+    const tail      = await readBytes(blob, tailStart, blob.size);
+
+    let eocd = -1;
+    for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+      if (tail.getUint32(i, true) === SIG_EOCD) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a ZIP archive');
+
+    let count  = tail.getUint16(eocd + 10, true);
+    let size   = tail.getUint32(eocd + 12, true);
+    let offset = tail.getUint32(eocd + 16, true);
+
+    // ZIP64 — the real values live in a separate record pointed to by a locator
+    const loc = eocd - 20;
+    if (loc >= 0 && tail.getUint32(loc, true) === SIG_LOC64) {
+      const recOffset = u64(tail, loc + 8);
+      const rec = await readBytes(blob, recOffset, recOffset + 56);
+      if (rec.getUint32(0, true) === SIG_EOCD64) {
+        count  = u64(rec, 32);
+        size   = u64(rec, 40);
+        offset = u64(rec, 48);
+      }
+    }
+
+    return { count, size, offset };
+  }
+
+  function parseDirectory(view, count) {
+    const entries = [];
+    const utf8    = new TextDecoder('utf-8');
+    let p = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(p, true) !== SIG_CENTRAL) throw new Error('Corrupt ZIP directory');
+
+      const method     = view.getUint16(p + 10, true);
+      let   compSize   = view.getUint32(p + 20, true);
+      let   size       = view.getUint32(p + 24, true);
+      const nameLen    = view.getUint16(p + 28, true);
+      const extraLen   = view.getUint16(p + 30, true);
+      const commentLen = view.getUint16(p + 32, true);
+      let   localOff   = view.getUint32(p + 42, true);
+
+      const nameBytes = new Uint8Array(view.buffer, view.byteOffset + p + 46, nameLen);
+      const name      = utf8.decode(nameBytes);
+
+      // ZIP64 extended info — only the fields that overflowed are present, in order
+      let e = p + 46 + nameLen;
+      const extraEnd = e + extraLen;
+      while (e + 4 <= extraEnd) {
+        const id  = view.getUint16(e, true);
+        const len = view.getUint16(e + 2, true);
+        if (id === 0x0001) {
+          let f = e + 4;
+          if (size     === 0xffffffff) { size     = u64(view, f); f += 8; }
+          if (compSize === 0xffffffff) { compSize = u64(view, f); f += 8; }
+          if (localOff === 0xffffffff) { localOff = u64(view, f); }
+        }
+        e += 4 + len;
+      }
+
+      entries.push({
+        name,
+        dir: name.endsWith('/'),
+        method,
+        compSize,
+        size,
+        localOff,
+      });
+
+      p = extraEnd + commentLen;
+    }
+
+    return entries;
+  }
+
+  /* Inflates only until `limit` bytes are out — a header probe skips the rest */
+  async function inflate(data, limit) {
+    const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    if (limit === Infinity) return new Response(stream).blob();
+
+    const reader = stream.getReader();
+    const chunks = [];
+    let length   = 0;
+    while (length < limit) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+    reader.cancel().catch(() => {});
+    return new Blob(chunks).slice(0, limit);
+  }
+
+  async function readEntry(blob, entry, limit = Infinity) {
+    // Local header name/extra lengths can differ from the central copy
+    const head = await readBytes(blob, entry.localOff, entry.localOff + 30);
+    if (head.getUint32(0, true) !== SIG_LOCAL) throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+
+    const start = entry.localOff + 30 + head.getUint16(26, true) + head.getUint16(28, true);
+    const data  = blob.slice(start, start + entry.compSize);
+
+    if (entry.method === 0) return data.slice(0, limit);
+    if (entry.method === 8) return inflate(data, limit);
+    throw new Error(`Unsupported ZIP compression (${entry.method}): ${entry.name}`);
+  }
+
+  /* ── Writing ── */
+
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+  /* Streams the blob so large files are never held in memory at once */
+  async function crc32(blob) {
+    let crc = 0xffffffff;
+    const reader = blob.stream().getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      for (let i = 0; i < value.length; i++) {
+        crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+      }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function setU64(view, off, n) {
+    view.setUint32(off, n % 0x100000000, true);
+    view.setUint32(off + 4, Math.floor(n / 0x100000000), true);
+  }
+
+  /* ZIP64 extended info extra field — values in spec order (size, compressed size, offset) */
+  function zip64Extra(values) {
+    const view = new DataView(new ArrayBuffer(4 + values.length * 8));
+    view.setUint16(0, 0x0001, true);
+    view.setUint16(2, values.length * 8, true);
+    values.forEach((v, i) => setU64(view, 4 + i * 8, v));
+    return view;
+  }
+
+  function dosDateTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+  }
+
+  async function createArchive(files) {
+    const utf8  = new TextEncoder();
+    const stamp = dosDateTime(new Date());
+    const parts   = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const data = file.data instanceof Blob ? file.data : new Blob([file.data]);
+      const name = utf8.encode(file.name);
+      const crc  = await crc32(data);
+
+      // Overflowing sizes / offset are written as MAX_32 with the real value in a ZIP64 extra
+      const bigSize  = data.size >= MAX_32;
+      const farAway  = offset >= MAX_32;
+      const version  = bigSize || farAway ? 45 : 20;
+      const size32   = bigSize ? MAX_32 : data.size;
+      const localExt = bigSize ? [zip64Extra([data.size, data.size])] : [];
+      const dirVals  = [...(bigSize ? [data.size, data.size] : []), ...(farAway ? [offset] : [])];
+      const dirExt   = dirVals.length ? [zip64Extra(dirVals)] : [];
+      const extraLen = (ext) => ext.reduce((n, part) => n + part.byteLength, 0);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, SIG_LOCAL, true);
+      local.setUint16(4, version, true);      // version needed
+      local.setUint16(6, 0x0800, true);       // UTF-8 names
+      local.setUint16(8, 0, true);            // stored
+      local.setUint16(10, stamp.time, true);
+      local.setUint16(12, stamp.date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, size32, true);
+      local.setUint32(22, size32, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, extraLen(localExt), true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, SIG_CENTRAL, true);
+      entry.setUint16(4, version, true);      // version made by
+      entry.setUint16(6, version, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(12, stamp.time, true);
+      entry.setUint16(14, stamp.date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, size32, true);
+      entry.setUint32(24, size32, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint16(30, extraLen(dirExt), true);
+      entry.setUint32(42, farAway ? MAX_32 : offset, true);
+
+      parts.push(local, name, ...localExt, data);
+      central.push(entry, name, ...dirExt);
+      offset += 30 + name.length + extraLen(localExt) + data.size;
+    }
+
+    const count   = files.length;
+    const dirSize = central.reduce((n, part) => n + part.byteLength, 0);
+    const zip64   = [];
+
+    // ZIP64 end record + locator, then the classic EOCD with its fields maxed out
+    if (count >= MAX_16 || dirSize >= MAX_32 || offset >= MAX_32) {
+      const rec = new DataView(new ArrayBuffer(56));
+      rec.setUint32(0, SIG_EOCD64, true);
+      setU64(rec, 4, 56 - 12);                // record size, excluding these first 12 bytes
+      rec.setUint16(12, 45, true);            // version made by
+      rec.setUint16(14, 45, true);            // version needed
+      setU64(rec, 24, count);
+      setU64(rec, 32, count);
+      setU64(rec, 40, dirSize);
+      setU64(rec, 48, offset);
+
+      const loc = new DataView(new ArrayBuffer(20));
+      loc.setUint32(0, SIG_LOC64, true);
+      setU64(loc, 8, offset + dirSize);       // where the ZIP64 end record starts
+      loc.setUint32(16, 1, true);             // total disks
+
+      zip64.push(rec, loc);
+    }
+
+    const eocd = new DataView(new ArrayBuffer(EOCD_SIZE));
+    eocd.setUint32(0, SIG_EOCD, true);
+    eocd.setUint16(8, Math.min(count, MAX_16), true);
+    eocd.setUint16(10, Math.min(count, MAX_16), true);
+    eocd.setUint32(12, Math.min(dirSize, MAX_32), true);
+    eocd.setUint32(16, Math.min(offset, MAX_32), true);
+
+    return new Blob([...parts, ...central, ...zip64, eocd], { type: 'application/zip' });
+  }
+
+  return {
+    /**
+     * Open an archive. Returns { entries, read(entry, limit?) → Promise<Blob> }.
+     * Only the central directory is read up front; `limit` caps the bytes
+     * read (and inflated) from the start of the entry.
+     */
+    async open(blob) {
+      const { count, size, offset } = await findDirectory(blob);
+      const view    = await readBytes(blob, offset, offset + size);
+      const entries = parseDirectory(view, count);
+
+      return {
+        entries,
+        read: (entry, limit) => readEntry(blob, entry, limit),
+      };
+    },
+
+    /**
+     * Build a stored (uncompressed) archive.
+     * @param {Array<{name: string, data: Blob|string}>} files
+     * @returns {Promise<Blob>}
+     */
+    create: createArchive
+  };
+})();